@@ -0,0 +1,167 @@
+import { buildIcsCalendar } from './ics.js';
+import { addWorkingDays, isTeamNonWorkingDay } from './nonWorkingDays.js';
+
+/**
+ * Functions for turning support shifts into iCalendar feeds
+ */
+
+const UID_DOMAIN = 'hmpps-accommodation-services-support-bot';
+
+/**
+ * Get the support shifts from the rotation history and the planned schedule
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} options - Options
+ * @param {number} options.daysPerRotation - Number of working days each rotation lasts
+ * @param {Object} [options.holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @returns {Object[]} Shifts: { start, end, engineers, planned, swaps } with dates in YYYY-MM-DD format
+ */
+export function getSupportShifts(rotationData, { daysPerRotation, holidayCalendar = null }) {
+  // Every rotation except an unstaffed attempt ends the shift before it
+  const rotations = (rotationData.history || []).filter(entry => !entry.unstaffed);
+  const shifts = [];
+
+  rotations.forEach((entry, index) => {
+    if (!entry.engineers || entry.engineers.length === 0) {
+      return;
+    }
+
+    const start = new Date(entry.date);
+    const next = rotations[index + 1];
+    let end;
+
+    if (next) {
+      // Reassigned on the same day, so this shift never happened
+      if (formatDate(new Date(next.date)) === formatDate(start)) {
+        return;
+      }
+      end = lastWorkingDayBefore(new Date(next.date), holidayCalendar);
+    } else {
+      end = addWorkingDays(start, daysPerRotation - 1, holidayCalendar);
+    }
+
+    shifts.push({
+      start: formatDate(start),
+      end: formatDate(end < start ? start : end),
+      engineers: entry.engineers,
+      planned: false,
+      swaps: entry.swaps || []
+    });
+  });
+
+  // Follow on with the planned schedule
+  const lastStart = shifts.length > 0 ? shifts[shifts.length - 1].start : '';
+  const planned = rotationData.schedule ? rotationData.schedule.rotations : [];
+
+  for (const rotation of planned) {
+    if (rotation.unstaffed || rotation.start <= lastStart) {
+      continue;
+    }
+    shifts.push({
+      start: rotation.start,
+      end: rotation.end,
+      engineers: rotation.engineers,
+      planned: true,
+      swaps: []
+    });
+  }
+
+  // The current shift runs until the first planned one starts
+  const current = shifts.filter(s => !s.planned).pop();
+  const firstPlanned = shifts.find(s => s.planned);
+  if (current && firstPlanned && current.end >= firstPlanned.start) {
+    current.end = formatDate(lastWorkingDayBefore(new Date(`${firstPlanned.start}T00:00:00Z`), holidayCalendar));
+  }
+
+  return shifts;
+}
+
+/**
+ * Build a team calendar and one calendar per engineer of support shifts
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} options - Options
+ * @param {number} options.daysPerRotation - Number of working days each rotation lasts
+ * @param {Object} [options.holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @param {Object} [options.names] - Map of user IDs to display names (default: user IDs)
+ * @param {Date} [options.generatedAt] - Timestamp for the events (default: now)
+ * @param {string} [options.rota] - Name of the rota, when there are several
+ * @returns {Object} Map of file names (team.ics, <userId>.ics) to calendar contents
+ */
+export function buildSupportCalendars(rotationData, { daysPerRotation, holidayCalendar = null, names = {}, generatedAt = new Date(), rota = null }) {
+  const shifts = getSupportShifts(rotationData, { daysPerRotation, holidayCalendar });
+  // Rotas' events need different UIDs, so calendar apps don't treat them as the same event
+  const uidPrefix = rota ? `support-${rota}` : 'support';
+  const title = rota ? `Application support (${rota})` : 'Application support';
+  const nameOf = id => names[id] || id;
+  const plannedNote = shift => shift.planned ? ' (planned)' : '';
+
+  const describe = shift => {
+    const lines = [`On application support: ${shift.engineers.map(nameOf).join(' and ')}`];
+    for (const swap of shift.swaps) {
+      lines.push(`${nameOf(swap.to)} swapped in for ${nameOf(swap.from)}`);
+    }
+    if (shift.planned) {
+      lines.push('This shift is planned and may change if availability changes.');
+    }
+    return lines.join('\n');
+  };
+
+  const calendars = {
+    'team.ics': buildIcsCalendar({
+      name: title,
+      generatedAt,
+      events: shifts.map(shift => ({
+        uid: `${uidPrefix}-${shift.start}@${UID_DOMAIN}`,
+        start: shift.start,
+        end: shift.end,
+        summary: `Application support: ${shift.engineers.map(nameOf).join(' and ')}${plannedNote(shift)}`,
+        description: describe(shift)
+      }))
+    })
+  };
+
+  const engineers = [...new Set(shifts.flatMap(shift => shift.engineers))];
+
+  for (const id of engineers) {
+    calendars[`${id}.ics`] = buildIcsCalendar({
+      name: `${title} - ${nameOf(id)}`,
+      generatedAt,
+      events: shifts
+        .filter(shift => shift.engineers.includes(id))
+        .map(shift => {
+          const others = shift.engineers.filter(other => other !== id);
+          return {
+            uid: `${uidPrefix}-${shift.start}-${id}@${UID_DOMAIN}`,
+            start: shift.start,
+            end: shift.end,
+            summary: `On application support${others.length > 0 ? ` with ${others.map(nameOf).join(' and ')}` : ''}${plannedNote(shift)}`,
+            description: describe(shift)
+          };
+        })
+    });
+  }
+
+  return calendars;
+}
+
+/**
+ * Get the last team working day before a date
+ * @param {Date} date - Date
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {Date} Last working day before the date
+ */
+function lastWorkingDayBefore(date, holidayCalendar) {
+  const result = new Date(date);
+  do {
+    result.setDate(result.getDate() - 1);
+  } while (isTeamNonWorkingDay(result, holidayCalendar));
+  return result;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
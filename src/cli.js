@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { resolve, join, dirname } from 'path';
+import { loadConfig, loadRotaConfigs, checkConfig } from './config.js';
+import { runRotation } from './index.js';
+import { manageAvailability } from './manageAvailability.js';
+import { manageEngineers } from './manageEngineers.js';
+import { exportCalendars } from './exportCalendars.js';
+import { createStorage } from './storage.js';
+import { isValidNonWorkingDay } from './nonWorkingDays.js';
+import { normalizeRegion, HOLIDAY_REGIONS } from './holidays.js';
+import { TAG_PATTERN } from './rotation.js';
+
+/**
+ * Command line interface for the support rotation bot
+ * Exit codes: 0 on success, 1 if the command failed, 2 if the command line was invalid.
+ */
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Thrown when the command line is invalid, so the usage can be shown
+ */
+class UsageError extends Error {
+  constructor(message, help = USAGE) {
+    super(message);
+    this.name = 'UsageError';
+    this.help = help;
+  }
+}
+
+const GLOBAL_OPTIONS = `Options:
+  --data <path>   Rotation data file (default: data/rotation.json, or DATA_PATH)
+  --rota <name>   Only run for this rota (default: ROTA, or every rota in ROTAS_PATH)
+  --no-slack      Print Slack messages instead of posting them
+  --dry-run       Show the changes to the data file and the Slack messages, without saving or posting
+  -h, --help      Show help`;
+
+const USAGE = `Usage: support-bot <command> [options]
+
+Commands:
+  rotate          Assign the next engineers if a new rotation is due
+  reassign        Reassign support now
+  schedule        Plan the upcoming rotations and post the summary
+  availability    Manage non-working days (see support-bot availability --help)
+  engineers       Manage new starters, skill tags and direct messages (see support-bot engineers --help)
+  status          Show who is on support and who is coming up
+  history         Show recent rotations
+  calendars       Export the shifts as calendar files (see support-bot calendars --help)
+
+${GLOBAL_OPTIONS}
+
+Other settings (Slack token, rotation length and so on) come from environment variables; see the README.`;
+
+const AVAILABILITY_USAGE = `Usage: support-bot availability <command> [options]
+
+Commands:
+  add <user> <days...> [--label <text>]   Add dates, date ranges or days of the week
+  remove <user> <days...>                 Remove dates, date ranges or days of the week
+  clear <user> [--recurring | --dates]    Clear all (or only recurring, or only dated) non-working days
+  list [user]                             List non-working days for one user, or everyone
+  region <user> [region]                  Set a user's bank holiday region (blank for the team's)
+  prune                                   Archive past dates and leave blocks
+
+Days are dates (2025-12-25), ranges (2026-08-03..2026-08-14) or days of the week (friday),
+separated by spaces or commas. Add :am or :pm for half days (friday:pm).
+
+${GLOBAL_OPTIONS}`;
+
+const ENGINEERS_USAGE = `Usage: support-bot engineers <command> [options]
+
+Commands:
+  new-starter <user>       Mark a user as a new starter, who can only fill new-starter slots
+  sign-off <user>          Sign off a new starter, so they can fill any slot
+  tag <user> <tags...>     Add skill tags, for coverage rules (e.g. cas1)
+  untag <user> <tags...>   Remove skill tags
+  dms-off <user>           Stop direct messages to a user about their shifts
+  dms-on <user>            Start direct messages to a user again
+  list                     List new starters, tags and who has turned off direct messages
+
+${GLOBAL_OPTIONS}`;
+
+const HISTORY_USAGE = `Usage: support-bot history [--limit <n>]
+
+  --limit <n>     Number of rotations to show (default: 10)
+
+${GLOBAL_OPTIONS}`;
+
+const CALENDARS_USAGE = `Usage: support-bot calendars [--output <dir>]
+
+Writes team.ics with every shift, and <user ID>.ics with each engineer's own shifts.
+
+  --output <dir>  Where to write the files, with a folder for each rota when there are several
+                  (default: calendars/, or CALENDAR_OUTPUT_DIR)
+
+${GLOBAL_OPTIONS}`;
+
+const OPTIONS = {
+  data: { type: 'string' },
+  rota: { type: 'string' },
+  'no-slack': { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  label: { type: 'string' },
+  recurring: { type: 'boolean' },
+  dates: { type: 'boolean' },
+  limit: { type: 'string' },
+  output: { type: 'string' }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command line arguments, without the node and script paths
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, env = process.env) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    const { values: options, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (!command) {
+      if (options.help) {
+        console.log(USAGE);
+        return 0;
+      }
+      throw new UsageError('No command given');
+    }
+
+    const config = loadConfig(env);
+    if (options['no-slack']) {
+      config.slackEnabled = false;
+    }
+    if (options['dry-run']) {
+      config.dryRun = true;
+    }
+
+    // The workflows pass the rota they were asked to run as ROTA
+    const rotas = selectRotas(loadRotaConfigs(config), options.rota ?? (env.ROTA || undefined));
+    if (options.data) {
+      if (rotas.length > 1) {
+        throw new UsageError('--data can only be used for one rota; choose it with --rota');
+      }
+      const [rota] = rotas;
+      rota.dataPath = resolve(options.data);
+      rota.archivePath = join(dirname(rota.dataPath), rota.rota ? `${rota.rota}-non-working-days-archive.json` : 'non-working-days-archive.json');
+    }
+
+    switch (command) {
+      case 'rotate':
+      case 'reassign':
+      case 'schedule':
+        if (options.help) {
+          console.log(USAGE);
+          return 0;
+        }
+        expectArgs(args, 0, USAGE);
+        return await forEachRota(rotas, async rotaConfig => {
+          checkConfig(rotaConfig);
+          await runRotation({ rotate: 'assign', reassign: 'force_reassign', schedule: 'schedule' }[command], rotaConfig);
+        });
+
+      case 'availability': {
+        if (options.help) {
+          console.log(AVAILABILITY_USAGE);
+          return 0;
+        }
+        const request = parseAvailabilityCommand(args, options);
+        return await forEachRota(rotas, async rotaConfig => {
+          checkConfig(rotaConfig);
+          await manageAvailability(request, rotaConfig);
+        });
+      }
+
+      case 'engineers': {
+        if (options.help) {
+          console.log(ENGINEERS_USAGE);
+          return 0;
+        }
+        const request = parseEngineersCommand(args);
+        return await forEachRota(rotas, async rotaConfig => {
+          checkConfig(rotaConfig);
+          await manageEngineers(request, rotaConfig);
+        });
+      }
+
+      case 'status':
+        if (options.help) {
+          console.log(USAGE);
+          return 0;
+        }
+        expectArgs(args, 0, USAGE);
+        return await forEachRota(rotas, async rotaConfig => printStatus(await loadRotationData(rotaConfig)));
+
+      case 'history': {
+        if (options.help) {
+          console.log(HISTORY_USAGE);
+          return 0;
+        }
+        expectArgs(args, 0, HISTORY_USAGE);
+        const limit = options.limit === undefined ? 10 : Number(options.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+          throw new UsageError(`--limit must be a positive whole number, got "${options.limit}"`, HISTORY_USAGE);
+        }
+        return await forEachRota(rotas, async rotaConfig => printHistory(await loadRotationData(rotaConfig), limit));
+      }
+
+      case 'calendars': {
+        if (options.help) {
+          console.log(CALENDARS_USAGE);
+          return 0;
+        }
+        expectArgs(args, 0, CALENDARS_USAGE);
+        const outputDir = options.output ? resolve(options.output) : config.calendarOutputDir;
+        return await forEachRota(rotas, async rotaConfig => {
+          checkConfig(rotaConfig);
+          await exportCalendars(rotaConfig, rotaConfig.rota ? join(outputDir, rotaConfig.rota) : outputDir);
+        });
+      }
+
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      console.error(error.help);
+      return EXIT_USAGE;
+    }
+
+    console.error('Error:', error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * Pick the rotas a command applies to
+ * @param {Object[]} rotas - Configuration for each rota, from loadRotaConfigs
+ * @param {string} [name] - Rota chosen with --rota
+ * @returns {Object[]} Configuration for the chosen rotas
+ */
+function selectRotas(rotas, name) {
+  if (name === undefined) {
+    return rotas;
+  }
+
+  if (!rotas[0].rota) {
+    throw new UsageError('--rota needs a rotas file (set ROTAS_PATH)');
+  }
+
+  const rota = rotas.find(r => r.rota === name);
+  if (!rota) {
+    throw new UsageError(`Unknown rota: ${name}. Expected one of: ${rotas.map(r => r.rota).join(', ')}`);
+  }
+  return [rota];
+}
+
+/**
+ * Run a command for each rota in turn
+ * A rota that fails doesn't stop the others; the command fails once they've all been run.
+ * @param {Object[]} rotas - Configuration for each rota
+ * @param {Function} run - Runs the command for one rota's configuration
+ * @returns {Promise<number>} Exit code
+ */
+async function forEachRota(rotas, run) {
+  if (rotas.length === 1) {
+    await run(rotas[0]);
+    return 0;
+  }
+
+  const failed = [];
+
+  for (const rota of rotas) {
+    console.log(`\n=== Rota: ${rota.rota} ===`);
+    try {
+      await run(rota);
+    } catch (error) {
+      console.error(`Error in rota ${rota.rota}:`, error.message);
+      failed.push(rota.rota);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`\n${failed.length} of ${rotas.length} rota(s) failed: ${failed.join(', ')}`);
+    return EXIT_FAILURE;
+  }
+  return 0;
+}
+
+/**
+ * Turn an availability subcommand into a request for manageAvailability
+ * @param {string[]} args - Arguments after "availability"
+ * @param {Object} options - Parsed options
+ * @returns {Object} Request for manageAvailability
+ */
+function parseAvailabilityCommand(args, options) {
+  const [subcommand, userId, ...rest] = args;
+  // Days can be given as separate arguments or comma-separated, as in the workflow
+  const days = rest.flatMap(arg => arg.split(',')).map(day => day.trim()).filter(Boolean);
+
+  if (!subcommand) {
+    throw new UsageError('No availability command given', AVAILABILITY_USAGE);
+  }
+
+  if (userId && !/^[UW][A-Z0-9]+$/.test(userId)) {
+    throw new UsageError(`"${userId}" is not a Slack user ID (e.g. U123ABC)`, AVAILABILITY_USAGE);
+  }
+
+  const requireUser = () => {
+    if (!userId) {
+      throw new UsageError(`availability ${subcommand} needs a user ID`, AVAILABILITY_USAGE);
+    }
+  };
+
+  const requireDays = () => {
+    if (days.length === 0) {
+      throw new UsageError(`availability ${subcommand} needs at least one day`, AVAILABILITY_USAGE);
+    }
+    const invalid = days.filter(day => !isValidNonWorkingDay(day));
+    if (invalid.length > 0) {
+      throw new UsageError(`Invalid day(s): ${invalid.join(', ')}`, AVAILABILITY_USAGE);
+    }
+  };
+
+  switch (subcommand) {
+    case 'add':
+      requireUser();
+      requireDays();
+      return { action: 'add_non_working_days', userId, days, label: options.label ? options.label.trim() : null };
+
+    case 'remove':
+      requireUser();
+      requireDays();
+      return { action: 'remove_non_working_days', userId, days };
+
+    case 'clear':
+      requireUser();
+      expectArgs(rest, 0, AVAILABILITY_USAGE);
+      if (options.recurring && options.dates) {
+        throw new UsageError('Use either --recurring or --dates, not both', AVAILABILITY_USAGE);
+      }
+      if (options.recurring) {
+        return { action: 'clear_recurring_days', userId };
+      }
+      return { action: options.dates ? 'clear_specific_days' : 'clear_non_working_days', userId };
+
+    case 'list':
+      expectArgs(rest, 0, AVAILABILITY_USAGE);
+      return { action: 'list_non_working_days', userId: userId || '' };
+
+    case 'region': {
+      requireUser();
+      expectArgs(rest, 1, AVAILABILITY_USAGE);
+      const region = rest[0] || null;
+      if (region && !normalizeRegion(region)) {
+        throw new UsageError(`Unknown holiday region: ${region}. Expected one of: ${HOLIDAY_REGIONS.join(', ')}`, AVAILABILITY_USAGE);
+      }
+      return { action: 'set_holiday_region', userId, region };
+    }
+
+    case 'prune':
+      if (userId || rest.length > 0) {
+        throw new UsageError('availability prune takes no arguments', AVAILABILITY_USAGE);
+      }
+      return { action: 'prune' };
+
+    default:
+      throw new UsageError(`Unknown availability command: ${subcommand}`, AVAILABILITY_USAGE);
+  }
+}
+
+/**
+ * Turn an engineers subcommand into a request for manageEngineers
+ * @param {string[]} args - Arguments after "engineers"
+ * @returns {Object} Request for manageEngineers
+ */
+function parseEngineersCommand(args) {
+  const [subcommand, userId, ...rest] = args;
+  // Tags can be given as separate arguments or comma-separated
+  const tags = rest.flatMap(arg => arg.split(',')).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+  if (!subcommand) {
+    throw new UsageError('No engineers command given', ENGINEERS_USAGE);
+  }
+
+  if (subcommand === 'list') {
+    expectArgs(args.slice(1), 0, ENGINEERS_USAGE);
+    return { action: 'list' };
+  }
+
+  const action = {
+    'new-starter': 'mark_new_starter',
+    'sign-off': 'sign_off',
+    tag: 'add_tags',
+    untag: 'remove_tags',
+    'dms-off': 'opt_out_direct_messages',
+    'dms-on': 'opt_in_direct_messages'
+  }[subcommand];
+  if (!action) {
+    throw new UsageError(`Unknown engineers command: ${subcommand}`, ENGINEERS_USAGE);
+  }
+
+  if (!userId) {
+    throw new UsageError(`engineers ${subcommand} needs a user ID`, ENGINEERS_USAGE);
+  }
+  if (!/^[UW][A-Z0-9]+$/.test(userId)) {
+    throw new UsageError(`"${userId}" is not a Slack user ID (e.g. U123ABC)`, ENGINEERS_USAGE);
+  }
+
+  if (action === 'add_tags' || action === 'remove_tags') {
+    if (tags.length === 0) {
+      throw new UsageError(`engineers ${subcommand} needs at least one tag`, ENGINEERS_USAGE);
+    }
+    const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+    if (invalid.length > 0) {
+      throw new UsageError(`Invalid tag(s): ${invalid.join(', ')}. Tags are letters, numbers, - and _`, ENGINEERS_USAGE);
+    }
+    return { action, userId, tags };
+  }
+
+  expectArgs(rest, 0, ENGINEERS_USAGE);
+  return { action, userId };
+}
+
+/**
+ * Check a command wasn't given too many arguments
+ * @param {string[]} args - Arguments
+ * @param {number} max - Most arguments allowed
+ * @param {string} help - Usage to show if there are too many
+ */
+function expectArgs(args, max, help) {
+  if (args.length > max) {
+    throw new UsageError(`Unexpected argument(s): ${args.slice(max).join(' ')}`, help);
+  }
+}
+
+/**
+ * Load the rotation data for a read-only command
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Promise<Object>} Rotation data
+ */
+async function loadRotationData(config) {
+  const storage = await createStorage({
+    backend: config.storageBackend,
+    dataPath: config.dataPath,
+    archivePath: config.archivePath,
+    sqlitePath: config.sqlitePath
+  });
+
+  try {
+    return storage.loadRotationData();
+  } finally {
+    storage.close();
+  }
+}
+
+/**
+ * Print who is on support, any pending swaps and the upcoming schedule
+ * @param {Object} rotationData - Rotation data
+ */
+function printStatus(rotationData) {
+  const lastEntry = rotationData.history[rotationData.history.length - 1];
+
+  if (rotationData.currentEngineers.length > 0) {
+    const slots = lastEntry && !lastEntry.unstaffed ? lastEntry.slots : null;
+    console.log(`On support: ${formatEngineers(rotationData.currentEngineers, slots)}`);
+    console.log(`Since: ${rotationData.lastRotationDate ? rotationData.lastRotationDate.split('T')[0] : 'unknown'}`);
+  } else {
+    console.log('On support: nobody');
+  }
+
+  if (lastEntry && lastEntry.unstaffed) {
+    console.log(`Unstaffed since ${lastEntry.date.split('T')[0]}: ${lastEntry.reason} (${lastEntry.attempts} attempt(s))`);
+  }
+
+  for (const swap of rotationData.pendingSwaps) {
+    console.log(`Pending swap: ${swap.requester} -> ${swap.target} (requested ${swap.requestedAt.split('T')[0]})`);
+  }
+
+  const rotations = rotationData.schedule ? rotationData.schedule.rotations : [];
+  if (rotations.length === 0) {
+    console.log('Upcoming: nothing planned');
+    return;
+  }
+
+  console.log('Upcoming:');
+  for (const rotation of rotations) {
+    const who = rotation.unstaffed ? `unstaffed (${rotation.reason})` : formatEngineers(rotation.engineers, rotation.slots);
+    const gaps = (rotation.uncovered || []).map(rule => `no ${rule.join(' or ')} cover`);
+    console.log(`  ${rotation.start} to ${rotation.end}: ${who}${gaps.length > 0 ? ` (${gaps.join(', ')})` : ''}`);
+  }
+}
+
+/**
+ * Print the most recent rotations, newest first
+ * @param {Object} rotationData - Rotation data
+ * @param {number} limit - Number of rotations to show
+ */
+function printHistory(rotationData, limit) {
+  const entries = rotationData.history.slice(-limit).reverse();
+
+  if (entries.length === 0) {
+    console.log('No rotations yet.');
+    return;
+  }
+
+  for (const entry of entries) {
+    const date = entry.date.split('T')[0];
+    if (entry.unstaffed) {
+      console.log(`${date}  unstaffed: ${entry.reason} (${entry.attempts} attempt(s))`);
+      continue;
+    }
+
+    const engineers = entry.engineers.length > 0 ? formatEngineers(entry.engineers, entry.slots) : 'nobody';
+    const swaps = (entry.swaps || []).map(swap => `${swap.to} swapped in for ${swap.from}`);
+    console.log(`${date}  ${engineers}${swaps.length > 0 ? `  (${swaps.join('; ')})` : ''}`);
+  }
+}
+
+/**
+ * List engineers, with the slot each one holds for rotas with named slots
+ * @param {string[]} engineers - Engineer user IDs
+ * @param {Object[]} [slots] - Slots ({ name, engineer })
+ * @returns {string} e.g. "U1 (primary), U2 (secondary)"
+ */
+function formatEngineers(engineers, slots) {
+  if (!slots) {
+    return engineers.join(', ');
+  }
+  return slots.map(slot => `${slot.engineer} (${slot.name})`).join(', ');
+}
+
+// Run when called from the command line, not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,276 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { loadMessageTemplates } from './messages.js';
+import { loadStatusRules } from './statuses.js';
+import { SLOT_POOLS, SELECTION_MODES, TAG_PATTERN } from './rotation.js';
+import { normalizeRegion, HOLIDAY_REGIONS } from './holidays.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = dirname(__dirname);
+
+/**
+ * Load the bot's configuration from environment variables
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {Object} Configuration
+ */
+export function loadConfig(env = process.env) {
+  const dataPath = env.DATA_PATH ? resolve(env.DATA_PATH) : join(ROOT_DIR, 'data', 'rotation.json');
+  const slots = parseSlots(env.SHIFT_SLOTS);
+
+  return {
+    slackToken: env.SLACK_TOKEN,
+    slackApiUrl: env.SLACK_API_URL || 'https://slack.com/api/', // Slack Web API to call, e.g. a fake one for trying things out locally
+    slackMaxConcurrency: parseInt(env.SLACK_MAX_CONCURRENCY || '4', 10), // Most Slack requests in flight at once
+    slackRetries: parseInt(env.SLACK_RETRIES || '3', 10), // Times to retry a rate-limited or failed Slack request
+    channelId: env.SLACK_CHANNEL_ID || 'cas-dev', // The channel to post to
+    userGroupId: env.SLACK_USERGROUP_ID || 'cas-engineers', // The user group to pull engineers from
+    daysPerRotation: parseInt(env.DAYS_PER_ROTATION || '2', 10), // Number of days each rotation lasts
+    engineersPerShift: slots ? slots.length : parseInt(env.ENGINEERS_PER_SHIFT || '2', 10), // Number of engineers on support at once
+    slots, // Named slots on each shift, e.g. primary and secondary, or null for interchangeable engineers
+    coverageRules: parseCoverageRules(env.COVERAGE_RULES), // Skill tags each shift must cover, e.g. [['cas1'], ['cas2', 'cas3']], or null
+    avoidRepeatPairs: parseInt(env.AVOID_REPEAT_PAIRS || '0', 10), // Don't pair engineers who were together in this many recent rotations (0 = off)
+    experiencedPartnerShifts: env.EXPERIENCED_PARTNER_SHIFTS ? parseInt(env.EXPERIENCED_PARTNER_SHIFTS, 10) : null, // Recent shifts a new starter's partner needs, or null to not require one
+    minEngineersPerShift: parseInt(env.MIN_ENGINEERS_PER_SHIFT || '1', 10), // Fewer than this and the rotation is unstaffed
+    selectionMode: env.SELECTION_MODE || 'round_robin', // How to pick engineers: 'round_robin' or 'fairness'
+    escalationUserGroupId: env.SLACK_ESCALATION_USERGROUP_ID || null, // Who to mention when nobody can be assigned (default: @here)
+    supportUserGroupId: env.SLACK_SUPPORT_USERGROUP_ID || null, // User group to keep in sync with who's on support, e.g. cas-support-now (default: none)
+    setChannelTopic: env.SLACK_SET_CHANNEL_TOPIC === 'true', // Whether to show who's on support, and until when, in the channel topic
+    holidayCalendars: (env.HOLIDAY_CALENDARS || 'data/bank-holidays.json').split(',').map(p => resolve(ROOT_DIR, p.trim())), // Local JSON or ICS bank holiday files
+    holidayRegion: env.HOLIDAY_REGION || 'england-and-wales', // The team's bank holiday region
+    minCoverage: parseFloat(env.MIN_COVERAGE || '1'), // Fraction of a rotation's working time an engineer must be in for (1 = every day in full)
+    scheduleRotations: parseInt(env.SCHEDULE_ROTATIONS || '10', 10), // Number of upcoming rotations to plan
+    storageBackend: env.STORAGE_BACKEND || 'file', // Where to keep the rotation data: 'file' or 'sqlite'
+    dataPath, // Rotation data file, for the file backend
+    archivePath: join(dirname(dataPath), 'non-working-days-archive.json'), // Archive of past non-working days, kept next to the data file
+    sqlitePath: resolve(ROOT_DIR, env.SQLITE_PATH || 'data/rotation.db'), // Database file for the sqlite backend
+    messagesPath: resolve(ROOT_DIR, env.MESSAGES_PATH || 'config/messages.json'), // Message templates, for other teams' wording and links
+    statusRulesPath: resolve(ROOT_DIR, env.STATUS_RULES_PATH || 'config/status-rules.json'), // Which Slack statuses mean someone is out
+    calendarOutputDir: resolve(ROOT_DIR, env.CALENDAR_OUTPUT_DIR || 'calendars'), // Where to export the calendar files
+    slackEnabled: env.SLACK_ENABLED !== 'false', // Whether to post to Slack (default: false)
+    dryRun: env.DRY_RUN === 'true', // Show what would change and be posted, without saving or posting anything
+    rotasPath: env.ROTAS_PATH ? resolve(ROOT_DIR, env.ROTAS_PATH) : null, // Rotas file, for running several rotas (default: a single rota)
+    rota: null // Name of the rota, when there are several
+  };
+}
+
+/**
+ * Settings a rota in the rotas file can set for itself, and their types
+ * Anything not set comes from the environment variables.
+ */
+const ROTA_SETTINGS = {
+  channelId: 'string',
+  userGroupId: 'string',
+  daysPerRotation: 'integer',
+  engineersPerShift: 'integer',
+  minEngineersPerShift: 'integer',
+  selectionMode: 'string',
+  escalationUserGroupId: 'string',
+  supportUserGroupId: 'string',
+  setChannelTopic: 'boolean',
+  holidayRegion: 'string',
+  minCoverage: 'number',
+  scheduleRotations: 'integer',
+  slots: 'slots',
+  coverageRules: 'coverageRules',
+  avoidRepeatPairs: 'count',
+  experiencedPartnerShifts: 'count',
+  messagesPath: 'path',
+  statusRulesPath: 'path',
+  dataPath: 'path',
+  sqlitePath: 'path'
+};
+
+const SETTING_TYPES = {
+  string: { check: value => typeof value === 'string', description: 'a string' },
+  path: { check: value => typeof value === 'string', description: 'a path' },
+  integer: { check: value => Number.isInteger(value) && value > 0, description: 'a positive whole number' },
+  count: { check: value => Number.isInteger(value) && value >= 0, description: 'a whole number (0 or more)' },
+  number: { check: value => typeof value === 'number', description: 'a number' },
+  boolean: { check: value => typeof value === 'boolean', description: 'true or false' },
+  slots: { check: value => Array.isArray(value) && value.every(slot => slot && typeof slot.name === 'string'), description: 'a list of slots, e.g. [{ "name": "primary", "pool": "signed_off" }]' },
+  coverageRules: { check: value => Array.isArray(value) && value.every(rule => Array.isArray(rule) && rule.every(tag => typeof tag === 'string')), description: 'a list of rules, each a list of tags, e.g. [["cas1"], ["cas2", "cas3"]]' }
+};
+
+/**
+ * Get the configuration for each rota
+ * Without a rotas file there is one unnamed rota, configured by the environment variables.
+ * Each named rota keeps its data in data/rotas/<name>.json (or data/rotas/<name>.db) unless it says otherwise.
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object[]} Configuration for each rota, in the order they're listed
+ * @throws {Error} If the rotas file can't be read or is invalid
+ */
+export function loadRotaConfigs(config) {
+  if (!config.rotasPath) {
+    return [config];
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(config.rotasPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read rotas from ${config.rotasPath}: ${error.message}`);
+  }
+
+  const rotas = Array.isArray(file.rotas) ? file.rotas : [];
+  const errors = [];
+
+  if (rotas.length === 0) {
+    errors.push('rotas: list at least one rota');
+  }
+
+  const names = new Set();
+  rotas.forEach((rota, index) => {
+    const path = `rotas[${index}]`;
+    if (typeof rota.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(rota.name)) {
+      errors.push(`${path}.name: must be lower case letters, numbers and dashes, e.g. "frontend"`);
+    } else if (names.has(rota.name)) {
+      errors.push(`${path}.name: "${rota.name}" is used by more than one rota`);
+    }
+    names.add(rota.name);
+
+    for (const [key, value] of Object.entries(rota)) {
+      if (key === 'name') {
+        continue;
+      }
+      const type = ROTA_SETTINGS[key];
+      if (!type) {
+        errors.push(`${path}.${key}: unknown setting. Expected one of: ${Object.keys(ROTA_SETTINGS).join(', ')}`);
+      } else if (!SETTING_TYPES[type].check(value)) {
+        errors.push(`${path}.${key}: must be ${SETTING_TYPES[type].description}`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Rotas in ${config.rotasPath} are invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return rotas.map(({ name, ...settings }) => {
+    const rotaConfig = { ...config, rota: name };
+
+    for (const [key, value] of Object.entries(settings)) {
+      rotaConfig[key] = ROTA_SETTINGS[key] === 'path' ? resolve(ROOT_DIR, value) : value;
+    }
+    if (settings.slots) {
+      rotaConfig.slots = settings.slots.map(({ name, pool = 'any' }) => ({ name, pool }));
+      rotaConfig.engineersPerShift = rotaConfig.slots.length;
+    }
+    if (settings.coverageRules) {
+      rotaConfig.coverageRules = settings.coverageRules.map(rule => rule.map(tag => tag.trim().toLowerCase()));
+    }
+    if (!settings.dataPath) {
+      rotaConfig.dataPath = join(ROOT_DIR, 'data', 'rotas', `${name}.json`);
+    }
+    if (!settings.sqlitePath) {
+      rotaConfig.sqlitePath = join(ROOT_DIR, 'data', 'rotas', `${name}.db`);
+    }
+    // Keep each rota's archive next to its data file, named after it so rotas can share a folder
+    rotaConfig.archivePath = join(dirname(rotaConfig.dataPath), `${name}-non-working-days-archive.json`);
+
+    return rotaConfig;
+  });
+}
+
+/**
+ * Check the configuration is usable
+ * @param {Object} config - Configuration from loadConfig
+ * @throws {Error} If a setting is missing or out of range, or the message templates or status rules are invalid
+ */
+export function checkConfig(config) {
+  if (config.slackEnabled && !config.slackToken) {
+    throw new Error('SLACK_TOKEN is required when Slack is enabled');
+  }
+
+  if (!(Number.isInteger(config.slackMaxConcurrency) && config.slackMaxConcurrency > 0)) {
+    throw new Error('SLACK_MAX_CONCURRENCY must be a positive whole number');
+  }
+
+  if (!(Number.isInteger(config.slackRetries) && config.slackRetries >= 0)) {
+    throw new Error('SLACK_RETRIES must be a whole number (0 to not retry)');
+  }
+
+  if (!(Number.isInteger(config.daysPerRotation) && config.daysPerRotation > 0)) {
+    throw new Error('DAYS_PER_ROTATION must be a positive whole number');
+  }
+
+  if (!(Number.isInteger(config.engineersPerShift) && config.engineersPerShift > 0)) {
+    throw new Error('ENGINEERS_PER_SHIFT must be a positive whole number');
+  }
+
+  if (!SELECTION_MODES.includes(config.selectionMode)) {
+    throw new Error(`Unknown SELECTION_MODE: ${config.selectionMode}. Expected one of: ${SELECTION_MODES.join(', ')}`);
+  }
+
+  if (!normalizeRegion(config.holidayRegion)) {
+    throw new Error(`Unknown HOLIDAY_REGION: ${config.holidayRegion}. Expected one of: ${HOLIDAY_REGIONS.join(', ')}`);
+  }
+
+  if (!(config.minCoverage > 0 && config.minCoverage <= 1)) {
+    throw new Error('MIN_COVERAGE must be greater than 0 and no more than 1');
+  }
+
+  if (config.slots) {
+    const names = config.slots.map(slot => slot.name);
+    if (names.some(name => !name) || new Set(names).size !== names.length) {
+      throw new Error('SHIFT_SLOTS must give each slot a different name');
+    }
+    const unknown = config.slots.filter(slot => !SLOT_POOLS.includes(slot.pool));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown slot pool(s): ${unknown.map(slot => `${slot.name}:${slot.pool}`).join(', ')}. Expected one of: ${SLOT_POOLS.join(', ')}`);
+    }
+  }
+
+  if (!(Number.isInteger(config.avoidRepeatPairs) && config.avoidRepeatPairs >= 0)) {
+    throw new Error('AVOID_REPEAT_PAIRS must be a whole number (0 to turn it off)');
+  }
+
+  if (config.experiencedPartnerShifts !== null && !(Number.isInteger(config.experiencedPartnerShifts) && config.experiencedPartnerShifts >= 0)) {
+    throw new Error('EXPERIENCED_PARTNER_SHIFTS must be a whole number, or blank to turn it off');
+  }
+
+  if (config.coverageRules) {
+    const invalid = config.coverageRules.flat().filter(tag => !TAG_PATTERN.test(tag));
+    if (config.coverageRules.some(rule => rule.length === 0) || invalid.length > 0) {
+      throw new Error(`COVERAGE_RULES must be tags made of letters, numbers, - and _${invalid.length > 0 ? `, got: ${invalid.join(', ')}` : ''}`);
+    }
+  }
+
+  // Fail before anything is saved rather than when the message is sent
+  loadMessageTemplates(config.messagesPath);
+  loadStatusRules(config.statusRulesPath);
+}
+
+/**
+ * Parse named slots from SHIFT_SLOTS, e.g. "primary:signed_off,secondary"
+ * Each entry is one engineer's slot, with an optional pool (see SLOT_POOLS in rotation.js, default: any).
+ * @param {string} [value] - SHIFT_SLOTS
+ * @returns {Object[]|null} Slots: [{ name, pool }], or null if not set
+ */
+export function parseSlots(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, pool = 'any'] = entry.split(':').map(part => part.trim());
+    return { name, pool };
+  });
+}
+
+/**
+ * Parse coverage rules from COVERAGE_RULES, e.g. "cas1,cas2|cas3"
+ * Each comma-separated rule needs someone on the shift with one of its |-separated tags.
+ * @param {string} [value] - COVERAGE_RULES
+ * @returns {string[][]|null} Rules, each a list of tags, or null if not set
+ */
+export function parseCoverageRules(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  return value.split(',').map(rule => rule.trim()).filter(Boolean).map(rule =>
+    rule.split('|').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+  );
+}
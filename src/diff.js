@@ -0,0 +1,103 @@
+/**
+ * Line-based diff for previewing changes to the data files
+ */
+
+/**
+ * Build a unified diff between two texts
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @param {Object} [options] - Options
+ * @param {string} [options.label] - Name of the file, for the header
+ * @param {number} [options.context] - Unchanged lines to show around each change (default: 3)
+ * @returns {string} Unified diff, or an empty string if the texts are the same
+ */
+export function formatDiff(before, after, { label = 'data', context = 3 } = {}) {
+  if (before === after) {
+    return '';
+  }
+
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  const changes = diffLines(oldLines, newLines);
+  const output = [`--- ${label}`, `+++ ${label} (dry run)`];
+
+  // Group changes into hunks, keeping a few unchanged lines around each one
+  let index = 0;
+  while (index < changes.length) {
+    if (changes[index].type === ' ') {
+      index++;
+      continue;
+    }
+
+    let start = Math.max(0, index - context);
+    let end = index;
+    while (end < changes.length) {
+      if (changes[end].type !== ' ') {
+        end++;
+        continue;
+      }
+      // Stop once there's a long enough run of unchanged lines
+      let run = 0;
+      while (end + run < changes.length && changes[end + run].type === ' ') {
+        run++;
+      }
+      if (end + run >= changes.length || run > context * 2) {
+        end = Math.min(changes.length, end + context);
+        break;
+      }
+      end += run;
+    }
+
+    const hunk = changes.slice(start, end);
+    const first = hunk[0];
+    const oldCount = hunk.filter(c => c.type !== '+').length;
+    const newCount = hunk.filter(c => c.type !== '-').length;
+    output.push(`@@ -${first.oldLine},${oldCount} +${first.newLine},${newCount} @@`);
+    output.push(...hunk.map(c => `${c.type}${c.text}`));
+
+    index = end;
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Work out the line changes between two lists of lines (longest common subsequence)
+ * @param {string[]} oldLines - Original lines
+ * @param {string[]} newLines - Changed lines
+ * @returns {Object[]} Changes: { type: ' ' | '-' | '+', text, oldLine, newLine }, with 1-based line numbers
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = oldLines[i] === newLines[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      changes.push({ type: ' ', text: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+      // Removed lines come before the lines that replace them
+      changes.push({ type: '-', text: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+    } else {
+      changes.push({ type: '+', text: newLines[j], oldLine: i + 1, newLine: j + 1 });
+      j++;
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,372 @@
+import {
+  selectShift,
+  updateRotation,
+  getUnstaffedReason,
+  recordUnstaffedRotation,
+  shuffleArray,
+  UNSTAFFED_REASONS
+} from './rotation.js';
+import { getAvailableEngineers, isTeamNonWorkingDay, isNonWorkingDay, addWorkingDays } from './nonWorkingDays.js';
+import { filterByStatus, loadStatusRules } from './statuses.js';
+
+/**
+ * Rotation engine: decides who should be on support, without touching Slack or storage
+ * Every front end (the scheduled run, availability changes, the Slack app) gathers the engineers
+ * and their statuses, asks planRotation for a decision, then carries it out with applyDecision.
+ */
+
+/**
+ * What set off a rotation decision
+ * - scheduled: the daily run, which rotates once the current rotation has run its course
+ * - force: a manual reassignment, which always picks new engineers if it can
+ * - availability_change: someone's non-working days changed, which reassigns if they're on support and now off
+ */
+export const TRIGGERS = ['scheduled', 'force', 'availability_change'];
+
+/**
+ * Messages shown above the assignment for triggers other than the daily run
+ */
+const ANNOUNCEMENTS = {
+  scheduled: null,
+  force: 'Support duty has been reassigned.',
+  availability_change: 'Reassigning support due to non-working days update.'
+};
+
+/**
+ * Decide what should happen to the support rotation
+ * Nothing passed in is changed; carry the decision out with applyDecision.
+ * @param {Object} input - Everything the decision depends on
+ * @param {Date} input.now - Current time, injectable for testing
+ * @param {string[]} input.engineers - Engineers who could be on support (e.g. the user group)
+ * @param {Object} input.statuses - Map of user IDs to Slack statuses, from getUserStatuses
+ * @param {Object[]} [input.statusRules] - Rules for reading the statuses, from loadStatusRules (default: the default rules)
+ * @param {Object} input.data - Current rotation data
+ * @param {Object} input.config - Configuration from loadConfig
+ * @param {Object} [input.holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @param {string} [input.trigger] - One of TRIGGERS (default: 'scheduled')
+ * @param {string} [input.userId] - Whose availability changed, for the availability_change trigger
+ * @returns {Object} Decision: {
+ *   action: 'assign' | 'escalate' | 'none',
+ *   trigger, reason, engineers, slots, notes, warnings, rotationOrder, announcement, shift: { start, end, daysRemaining },
+ *   window: { start, end }, availability: { engineers, statusFilteredEngineers, availableEngineers, excluded },
+ *   unstaffedDetails, daysSinceLastRotation
+ * }
+ */
+export function planRotation({
+  now,
+  engineers,
+  statuses = {},
+  statusRules = null,
+  data,
+  config,
+  holidayCalendar = null,
+  trigger = 'scheduled',
+  userId = null
+}) {
+  if (!TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown rotation trigger: ${trigger}. Expected one of: ${TRIGGERS.join(', ')}`);
+  }
+
+  const today = new Date(now);
+  // Engineers need to be in from today until daysPerRotation working days from now
+  const window = {
+    start: today,
+    end: addWorkingDays(today, config.daysPerRotation, holidayCalendar)
+  };
+  const daysSinceLastRotation = countWorkingDaysSince(data.lastRotationDate, today, holidayCalendar);
+
+  const decision = {
+    action: 'none',
+    trigger,
+    reason: null,
+    engineers: [],
+    slots: null,
+    notes: [],
+    warnings: [],
+    rotationOrder: data.rotationOrder,
+    announcement: ANNOUNCEMENTS[trigger],
+    shift: null,
+    window,
+    availability: null,
+    unstaffedDetails: null,
+    daysSinceLastRotation
+  };
+
+  // Work out whether there's anything to do
+  if (trigger === 'scheduled') {
+    if (daysSinceLastRotation !== null && daysSinceLastRotation < config.daysPerRotation) {
+      return { ...decision, reason: 'not_due' };
+    }
+    // Don't start a rotation on a weekend or bank holiday
+    if (isTeamNonWorkingDay(today, holidayCalendar)) {
+      return { ...decision, reason: 'non_working_day' };
+    }
+  } else if (trigger === 'availability_change') {
+    if (!needsReassignment(data, userId, today, holidayCalendar)) {
+      return { ...decision, reason: 'not_affected' };
+    }
+  }
+
+  // The shift starts today, or on the next working day for a reassignment made on a weekend or bank holiday
+  const shiftStart = isTeamNonWorkingDay(today, holidayCalendar) ? addWorkingDays(today, 1, holidayCalendar) : today;
+
+  // Filter out engineers whose Slack status says they're out of office or ill, then by non-working days
+  const { available: statusFilteredEngineers, excluded } = filterByStatus(
+    engineers,
+    statuses,
+    statusRules || loadStatusRules(),
+    shiftStart
+  );
+  const availableEngineers = getAvailableEngineers(
+    data,
+    statusFilteredEngineers,
+    window.start,
+    window.end,
+    holidayCalendar,
+    config.minCoverage
+  );
+  for (const id of statusFilteredEngineers.filter(id => !availableEngineers.includes(id))) {
+    excluded.push({ userId: id, reason: 'non_working_days', detail: 'non-working days during the rotation' });
+  }
+  decision.availability = { engineers, statusFilteredEngineers, availableEngineers, excluded };
+
+  // Escalate rather than assign nobody
+  const unstaffedReason = getUnstaffedReason(
+    { engineers, statusFilteredEngineers, availableEngineers },
+    config.minEngineersPerShift
+  );
+
+  if (unstaffedReason) {
+    return {
+      ...decision,
+      action: 'escalate',
+      reason: unstaffedReason,
+      unstaffedDetails: {
+        totalEngineers: engineers.length,
+        outOfOffice: engineers.length - statusFilteredEngineers.length,
+        nonWorking: statusFilteredEngineers.length - availableEngineers.length,
+        required: config.minEngineersPerShift
+      }
+    };
+  }
+
+  // Select on a copy, since selection can initialise or shuffle the rotation order
+  const selection = structuredClone(data);
+  const selectionOptions = {
+    mode: config.selectionMode,
+    daysPerRotation: config.daysPerRotation,
+    holidayCalendar
+  };
+
+  const selected = trigger === 'force'
+    ? selectReplacements(selection, availableEngineers, config, selectionOptions)
+    : selectEngineers(selection, availableEngineers, config, selectionOptions);
+
+  // Slots can go unfilled when too few of the available engineers are eligible for them
+  if (selected.engineers.length < config.minEngineersPerShift) {
+    return {
+      ...decision,
+      action: 'escalate',
+      reason: UNSTAFFED_REASONS.TOO_FEW_AVAILABLE,
+      unstaffedDetails: {
+        totalEngineers: engineers.length,
+        outOfOffice: engineers.length - statusFilteredEngineers.length,
+        nonWorking: statusFilteredEngineers.length - availableEngineers.length,
+        required: config.minEngineersPerShift
+      }
+    };
+  }
+
+  return {
+    ...decision,
+    action: 'assign',
+    engineers: selected.engineers,
+    slots: selected.slots,
+    notes: selected.notes,
+    warnings: selected.warnings,
+    rotationOrder: selection.rotationOrder,
+    shift: {
+      start: formatDate(shiftStart),
+      end: formatDate(addWorkingDays(shiftStart, config.daysPerRotation - 1, holidayCalendar)),
+      daysRemaining: config.daysPerRotation
+    }
+  };
+}
+
+/**
+ * Carry out a decision on the rotation data
+ * @param {Object} data - Rotation data, updated in place
+ * @param {Object} decision - Decision from planRotation
+ * @param {Date} now - Current time
+ * @returns {Object} Updated rotation data
+ */
+export function applyDecision(data, decision, now) {
+  if (decision.action === 'assign') {
+    data.rotationOrder = [...decision.rotationOrder];
+    updateRotation(data, decision.engineers, now, decision.slots);
+    // Keep the shift's last day, so it can be shown after swaps
+    data.history[data.history.length - 1].end = decision.shift.end;
+    return data;
+  }
+
+  if (decision.action === 'escalate') {
+    return recordUnstaffedRotation(data, decision.reason, decision.unstaffedDetails);
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a change to someone's availability means support has to be reassigned:
+ * they're on support and now off today (if it's a working day) or on the next working day
+ * @param {Object} data - Rotation data, with the change made
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {boolean} True if they can't carry on with their shift
+ */
+export function needsReassignment(data, userId, now, holidayCalendar = null) {
+  if (!data.currentEngineers.includes(userId)) {
+    return false;
+  }
+
+  const today = new Date(now);
+  const nextWorkingDay = addWorkingDays(today, 1, holidayCalendar);
+  const affectsToday = !isTeamNonWorkingDay(today, holidayCalendar) &&
+    isNonWorkingDay(data, userId, today, holidayCalendar);
+
+  return affectsToday || isNonWorkingDay(data, userId, nextWorkingDay, holidayCalendar);
+}
+
+/**
+ * Find the planned shift to remind engineers about: the one starting on the next working day
+ * Reminders go out on working days only, once per shift.
+ * @param {Object} data - Rotation data, with the upcoming schedule
+ * @param {Date} now - Current time
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {Object|null} Planned rotation from the schedule ({ start, end, engineers, slots }), or null if there's none to remind about
+ */
+export function getShiftToRemind(data, now, holidayCalendar = null) {
+  const today = new Date(now);
+  if (isTeamNonWorkingDay(today, holidayCalendar) || !data.schedule) {
+    return null;
+  }
+
+  const start = formatDate(addWorkingDays(today, 1, holidayCalendar));
+  if (data.lastReminderDate === start) {
+    return null;
+  }
+
+  const rotation = data.schedule.rotations.find(r => r.start === start);
+  return rotation && !rotation.unstaffed && rotation.engineers.length > 0 ? rotation : null;
+}
+
+/**
+ * Pick the next engineers, filling the rota's named slots and meeting its coverage and pairing rules
+ * @param {Object} selection - Copy of the rotation data to select with
+ * @param {string[]} pool - Engineers to pick from
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Object} selectionOptions - Options for getNextEngineers
+ * @returns {Object} { engineers, slots, uncovered, notes, warnings }, from selectShift
+ */
+function selectEngineers(selection, pool, config, selectionOptions) {
+  return selectShift(
+    selection,
+    pool,
+    {
+      count: config.engineersPerShift,
+      slots: config.slots,
+      coverageRules: config.coverageRules,
+      avoidRepeatPairs: config.avoidRepeatPairs,
+      experiencedPartnerShifts: config.experiencedPartnerShifts
+    },
+    selectionOptions
+  );
+}
+
+/**
+ * Pick engineers for a manual reassignment, trying to avoid the ones currently on support
+ * @param {Object} selection - Copy of the rotation data to select with
+ * @param {string[]} availableEngineers - Available engineers
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Object} selectionOptions - Options for getNextEngineers
+ * @returns {Object} Selection, as for selectEngineers
+ */
+function selectReplacements(selection, availableEngineers, config, selectionOptions) {
+  const others = availableEngineers.filter(id => !selection.currentEngineers.includes(id));
+
+  // Fairness selection is deterministic, so leave the current engineers out when there are enough others
+  const pool = config.selectionMode === 'fairness' && others.length >= config.engineersPerShift
+    ? others
+    : availableEngineers;
+
+  let selected;
+  let attempts = 0;
+  const maxAttempts = 5;
+
+  do {
+    selected = selectEngineers(selection, pool, config, selectionOptions);
+
+    // Shuffle the rotation order to get different engineers on next attempt
+    if (availableEngineers.length > config.engineersPerShift) {
+      shuffleArray(selection.rotationOrder);
+    }
+
+    attempts++;
+    // Break if we've tried several times or have limited engineers
+    if (attempts >= maxAttempts || availableEngineers.length <= config.engineersPerShift) {
+      break;
+    }
+  } while (arraysHaveSameElements(selected.engineers, selection.currentEngineers));
+
+  return selected;
+}
+
+/**
+ * Count the working days since the last rotation started, not counting that day
+ * @param {string|null} lastRotationDate - When the current rotation started (ISO string)
+ * @param {Date} today - Today's date
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {number|null} Working days, or null if there hasn't been a rotation yet
+ */
+function countWorkingDaysSince(lastRotationDate, today, holidayCalendar) {
+  if (!lastRotationDate) {
+    return null;
+  }
+
+  let count = 0;
+  const currentDate = new Date(lastRotationDate);
+  currentDate.setDate(currentDate.getDate() + 1);
+
+  while (currentDate <= today) {
+    if (!isTeamNonWorkingDay(currentDate, holidayCalendar)) {
+      count++;
+    }
+    currentDate.setDate(currentDate.getDate() + 1);
+  }
+
+  return count;
+}
+
+/**
+ * Check if arrays have the same elements (regardless of order)
+ * @param {Array} arr1 - First array
+ * @param {Array} arr2 - Second array
+ * @returns {boolean} True if arrays have the same elements
+ */
+function arraysHaveSameElements(arr1, arr2) {
+  if (!arr1 || !arr2) return false;
+  if (arr1.length !== arr2.length) return false;
+
+  const set1 = new Set(arr1);
+  return arr2.every(item => set1.has(item));
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
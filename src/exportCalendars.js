@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { join } from 'path';
+import { buildSupportCalendars } from './calendars.js';
+import { getUserNames } from './slack.js';
+import { getSlackGateway } from './slackGateway.js';
+import { createStorage } from './storage.js';
+import { loadHolidayCalendar } from './holidays.js';
+
+/**
+ * Export one rota's shifts as iCalendar files
+ * Engineers are named from Slack when it's enabled; if their names can't be fetched, their user IDs are shown instead.
+ * @param {Object} config - Configuration for the rota, from loadRotaConfigs
+ * @param {string} outputDir - Where to write the .ics files
+ */
+export async function exportCalendars(config, outputDir) {
+  const storage = await createStorage({
+    backend: config.storageBackend,
+    dataPath: config.dataPath,
+    archivePath: config.archivePath,
+    sqlitePath: config.sqlitePath
+  });
+
+  let rotationData;
+  try {
+    rotationData = storage.loadRotationData();
+  } finally {
+    storage.close();
+  }
+
+  // Load the team's bank holidays
+  const holidayCalendar = loadHolidayCalendar(config.holidayCalendars, config.holidayRegion);
+
+  let names = {};
+
+  if (config.slackEnabled) {
+    const userIds = new Set([
+      ...rotationData.history.flatMap(entry => entry.engineers || []),
+      ...(rotationData.schedule ? rotationData.schedule.rotations.flatMap(rotation => rotation.engineers) : [])
+    ]);
+
+    // The calendars are still worth having without names, so a Slack outage doesn't stop the export
+    try {
+      names = await getUserNames(getSlackGateway(config), [...userIds]);
+    } catch (error) {
+      console.warn(`Could not get engineers' names from Slack, showing user IDs instead: ${error.message}`);
+    }
+  }
+
+  const calendars = buildSupportCalendars(rotationData, {
+    daysPerRotation: config.daysPerRotation,
+    holidayCalendar,
+    names,
+    rota: config.rota
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  for (const [fileName, contents] of Object.entries(calendars)) {
+    fs.writeFileSync(join(outputDir, fileName), contents);
+  }
+
+  console.log(`Exported ${Object.keys(calendars).length} calendar(s) to ${outputDir}`);
+}
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * A fake Slack Web API, for trying the bot out without Slack
+ * It answers the methods the bot calls with made-up users, and logs every message posted (including direct messages)
+ * and every change to the support user group and channel topic. It can also rate limit the first few requests and
+ * fail lookups for some users, to see how the bot copes.
+ *
+ * Usage:
+ *   node src/fakeSlackApi.js
+ *   FAKE_RATE_LIMIT=3 FAKE_FAILING_USERS=U345678 node src/fakeSlackApi.js
+ *   FAKE_DROPPED_REQUESTS=2 node src/fakeSlackApi.js
+ * Then run the bot with SLACK_API_URL=http://localhost:3001/api/ and any SLACK_TOKEN.
+ * Tests start their own with createFakeSlackApi.
+ */
+
+// Configuration
+const CONFIG = {
+  port: parseInt(process.env.FAKE_SLACK_PORT || '3001', 10), // Port to listen on
+  userGroup: process.env.FAKE_USERGROUP || 'cas-engineers', // Handle of the engineers' user group
+  supportUserGroup: process.env.FAKE_SUPPORT_USERGROUP || 'cas-support-now', // Handle of the user group for who's on support
+  channel: process.env.FAKE_CHANNEL || 'cas-dev', // Name of the channel
+  users: (process.env.FAKE_USERS || 'U123456,U234567,U345678,U456789').split(',').map(id => id.trim()).filter(Boolean), // Members of the user group
+  statuses: parseStatuses(process.env.FAKE_STATUSES || ''), // Status text by user, e.g. "U234567=On holiday;U345678=Off sick"
+  failingUsers: (process.env.FAKE_FAILING_USERS || '').split(',').map(id => id.trim()).filter(Boolean), // Users that can't be looked up
+  rateLimit: parseInt(process.env.FAKE_RATE_LIMIT || '0', 10), // Number of requests to answer with 429 before answering normally
+  retryAfter: parseInt(process.env.FAKE_RETRY_AFTER || '1', 10), // Seconds to tell rate-limited callers to wait
+  droppedRequests: parseInt(process.env.FAKE_DROPPED_REQUESTS || '0', 10) // Number of requests to drop the connection for, as a network error would
+};
+
+export const USER_GROUP_ID = 'S0FAKE0001';
+export const SUPPORT_USER_GROUP_ID = 'S0FAKE0002';
+export const CHANNEL_ID = 'C0FAKE0001';
+
+/**
+ * Create a fake Slack Web API server, not yet listening
+ * @param {Object} [options] - Options, as in CONFIG (default: the same defaults)
+ * @returns {http.Server} Server, with the Web API methods it was asked for, in order, in server.calls
+ */
+export function createFakeSlackApi(options = {}) {
+  const {
+    userGroup = 'cas-engineers',
+    supportUserGroup = 'cas-support-now',
+    channel = 'cas-dev',
+    users = ['U123456', 'U234567', 'U345678', 'U456789'],
+    statuses = {},
+    failingUsers = [],
+    rateLimit = 0,
+    retryAfter = 1,
+    droppedRequests = 0
+  } = options;
+
+  // Members of each user group, which the bot can change
+  const members = {
+    [USER_GROUP_ID]: users,
+    [SUPPORT_USER_GROUP_ID]: []
+  };
+
+  let rateLimited = 0;
+  let dropped = 0;
+  let messages = 0;
+
+  /**
+   * Answer each Web API method the bot uses
+   */
+  const methods = {
+    'usergroups.list': () => ({
+      ok: true,
+      usergroups: [
+        { id: USER_GROUP_ID, handle: userGroup, name: userGroup },
+        { id: SUPPORT_USER_GROUP_ID, handle: supportUserGroup, name: supportUserGroup }
+      ]
+    }),
+
+    'usergroups.users.list': params => members[params.usergroup]
+      ? { ok: true, users: members[params.usergroup] }
+      : { ok: false, error: 'no_such_subteam' },
+
+    'usergroups.users.update': params => {
+      if (!members[params.usergroup]) {
+        return { ok: false, error: 'no_such_subteam' };
+      }
+      members[params.usergroup] = params.users.split(',');
+      console.log(`User group ${params.usergroup} is now: ${params.users}`);
+      return { ok: true, usergroup: { id: params.usergroup, users: members[params.usergroup] } };
+    },
+
+    'conversations.list': () => ({
+      ok: true,
+      channels: [{ id: CHANNEL_ID, name: channel }],
+      response_metadata: { next_cursor: '' }
+    }),
+
+    'conversations.setTopic': params => {
+      if (params.channel !== CHANNEL_ID) {
+        return { ok: false, error: 'channel_not_found' };
+      }
+      console.log(`Topic of ${params.channel} is now: ${params.topic}`);
+      return { ok: true, channel: { id: params.channel, topic: { value: params.topic } } };
+    },
+
+    'users.info': params => {
+      if (failingUsers.includes(params.user)) {
+        return { ok: false, error: 'user_not_found' };
+      }
+      return {
+        ok: true,
+        user: {
+          id: params.user,
+          name: params.user.toLowerCase(),
+          profile: {
+            display_name: `Engineer ${params.user}`,
+            status_text: statuses[params.user] || '',
+            status_emoji: '',
+            status_expiration: 0
+          }
+        }
+      };
+    },
+
+    'conversations.open': params => failingUsers.includes(params.users)
+      ? { ok: false, error: 'user_not_found' }
+      : { ok: true, channel: { id: `D${params.users}` } },
+
+    'chat.postMessage': params => {
+      messages += 1;
+      // Slack answers with the channel's ID, whatever name it was posted to
+      const channel = /^[CGD][A-Z0-9]+$/.test(params.channel) ? params.channel : CHANNEL_ID;
+      console.log(`Message to ${channel}${params.thread_ts ? ` in thread ${params.thread_ts}` : ''}:\n${params.text}\n`);
+      return { ok: true, channel, ts: `${Math.floor(Date.now() / 1000)}.${String(messages).padStart(6, '0')}` };
+    },
+
+    'chat.getPermalink': params => ({
+      ok: true,
+      channel: params.channel,
+      permalink: `https://fake.slack.com/archives/${params.channel}/p${params.message_ts.replace('.', '')}`
+    })
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const method = req.url.replace(/^\/api\//, '').split('?')[0];
+      const params = Object.fromEntries(new URLSearchParams(body));
+      server.calls.push(method);
+
+      if (dropped < droppedRequests) {
+        dropped += 1;
+        console.log(`${method}: dropped (${dropped} of ${droppedRequests})`);
+        return req.socket.destroy();
+      }
+
+      if (rateLimited < rateLimit) {
+        rateLimited += 1;
+        console.log(`${method}: rate limited (${rateLimited} of ${rateLimit})`);
+        res.writeHead(429, { 'Retry-After': String(retryAfter) });
+        return res.end();
+      }
+
+      const answer = methods[method];
+      const response = answer ? answer(params) : { ok: false, error: 'unknown_method' };
+      console.log(`${method}: ${response.ok ? 'ok' : response.error}`);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  server.calls = [];
+  return server;
+}
+
+/**
+ * Parse FAKE_STATUSES, e.g. "U234567=On holiday;U345678=Off sick"
+ * @param {string} value - FAKE_STATUSES
+ * @returns {Object} Map of user IDs to status text
+ */
+function parseStatuses(value) {
+  return Object.fromEntries(value.split(';').map(entry => entry.split('=')).filter(([id, text]) => id && text).map(([id, text]) => [id.trim(), text.trim()]));
+}
+
+// Run when called from the command line, not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  createFakeSlackApi(CONFIG).listen(CONFIG.port, () => {
+    console.log(`Fake Slack API listening on http://localhost:${CONFIG.port}/api/ with @${CONFIG.userGroup}: ${CONFIG.users.join(', ')}`);
+  });
+}
+
@@ -0,0 +1,120 @@
+import http from 'http';
+import fetch from 'node-fetch';
+import { signSlackRequest } from './slackCommands.js';
+
+/**
+ * Send a signed fake Slack request to a locally running Slack app, for trying it out without Slack
+ *
+ * Usage:
+ *   node src/fakeSlackRequest.js command "2026-05-01..2026-05-03 annual leave"
+ *   FAKE_COMMAND=/support-swap node src/fakeSlackRequest.js command "<@U234567>"
+ *   node src/fakeSlackRequest.js action remove_non_working_days 2026-05-01..2026-05-03
+ */
+
+// Configuration
+const CONFIG = {
+  signingSecret: process.env.SLACK_SIGNING_SECRET, // Must match the app's signing secret
+  appUrl: process.env.SLACK_APP_URL || 'http://localhost:3000', // Where the Slack app is running
+  userId: process.env.FAKE_USER_ID || 'U123456', // The user the request comes from
+  command: process.env.FAKE_COMMAND || '/support-off' // The slash command name
+};
+
+async function main() {
+  try {
+    if (!CONFIG.signingSecret) {
+      throw new Error('SLACK_SIGNING_SECRET is required');
+    }
+
+    const [type, ...args] = process.argv.slice(2);
+    let path;
+    let body;
+    let responseListener = null;
+
+    if (type === 'command') {
+      path = '/slack/commands';
+      body = new URLSearchParams({
+        command: CONFIG.command,
+        text: args.join(' '),
+        user_id: CONFIG.userId,
+        user_name: 'fake.user',
+        response_url: `${CONFIG.appUrl}/fake-response`
+      }).toString();
+    } else if (type === 'action') {
+      const [actionId, value = ''] = args;
+      // The app replies to interactions through the response URL, so listen for it
+      responseListener = await listenForResponse();
+      path = '/slack/interactions';
+      body = new URLSearchParams({
+        payload: JSON.stringify({
+          type: 'block_actions',
+          user: { id: CONFIG.userId },
+          response_url: responseListener.url,
+          actions: [{ action_id: actionId, value }]
+        })
+      }).toString();
+    } else {
+      throw new Error('Usage: node src/fakeSlackRequest.js command "<text>" | action <action_id> [value]');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(`${CONFIG.appUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signSlackRequest(CONFIG.signingSecret, timestamp, body)
+      },
+      body
+    });
+
+    console.log(`${response.status} ${response.statusText}`);
+    console.log(JSON.stringify(await response.json(), null, 2));
+
+    if (responseListener) {
+      if (response.ok) {
+        console.log('Message sent to the response URL:');
+        console.log(JSON.stringify(await responseListener.message, null, 2));
+      }
+      responseListener.close();
+    }
+  } catch (error) {
+    console.error('Error sending fake Slack request:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Listen on a random local port for the one message the app sends to a response URL
+ * @returns {Promise<Object>} { url, message, close } where message resolves to the parsed body
+ */
+function listenForResponse() {
+  return new Promise(resolve => {
+    let receive;
+    const message = new Promise(res => { receive = res; });
+
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.end();
+        receive(JSON.parse(body));
+      });
+    });
+
+    // Give up waiting after a few seconds so the script always ends
+    const timeout = setTimeout(() => receive(null), 5000);
+
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        message,
+        close: () => {
+          clearTimeout(timeout);
+          server.close();
+        }
+      });
+    });
+  });
+}
+
+main();
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { parseIcsEvents } from './ics.js';
+
+/**
+ * UK bank holiday regions, named as in the GOV.UK bank holidays export
+ */
+export const HOLIDAY_REGIONS = ['england-and-wales', 'scotland', 'northern-ireland'];
+
+/**
+ * Load the team holiday calendar from local files.
+ * JSON files use the GOV.UK format (https://www.gov.uk/bank-holidays.json), keyed by region.
+ * ICS files hold a single region, taken from the file name (e.g. scotland.ics), or the default region.
+ * @param {string[]} filePaths - Paths to JSON or ICS holiday files
+ * @param {string} [defaultRegion] - Region used for the team and for engineers without one set
+ * @returns {Object} Holiday calendar: { defaultRegion, regions: { region: { 'YYYY-MM-DD': title } } }
+ */
+export function loadHolidayCalendar(filePaths, defaultRegion = 'england-and-wales') {
+  const calendar = {
+    defaultRegion: normalizeRegion(defaultRegion),
+    regions: {}
+  };
+
+  if (!calendar.defaultRegion) {
+    throw new Error(`Unknown holiday region: ${defaultRegion}. Expected one of: ${HOLIDAY_REGIONS.join(', ')}`);
+  }
+
+  for (const region of HOLIDAY_REGIONS) {
+    calendar.regions[region] = {};
+  }
+
+  for (const filePath of filePaths) {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Holiday calendar ${filePath} not found. Skipping.`);
+      continue;
+    }
+
+    const contents = fs.readFileSync(filePath, 'utf8');
+
+    if (path.extname(filePath).toLowerCase() === '.ics') {
+      const region = normalizeRegion(path.basename(filePath, path.extname(filePath))) || calendar.defaultRegion;
+      for (const event of parseIcsEvents(contents)) {
+        calendar.regions[region][event.date] = event.summary;
+      }
+    } else {
+      let data;
+      try {
+        data = JSON.parse(contents);
+      } catch (error) {
+        throw new Error(`Holiday calendar ${filePath} is not valid JSON: ${error.message}`);
+      }
+
+      for (const [key, division] of Object.entries(data)) {
+        const region = normalizeRegion(key);
+        if (!region || !Array.isArray(division.events)) {
+          console.warn(`Ignoring unknown holiday division "${key}" in ${filePath}`);
+          continue;
+        }
+        for (const event of division.events) {
+          calendar.regions[region][event.date] = event.title;
+        }
+      }
+    }
+  }
+
+  return calendar;
+}
+
+/**
+ * Get the bank holiday on a date in a region, if there is one
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @param {string|null} region - Holiday region (defaults to the calendar's default region)
+ * @param {Date} date - Date to check
+ * @returns {string|null} Name of the bank holiday, or null
+ */
+export function getBankHoliday(holidayCalendar, region, date) {
+  if (!holidayCalendar) {
+    return null;
+  }
+
+  const holidays = holidayCalendar.regions[region || holidayCalendar.defaultRegion] || {};
+  return holidays[date.toISOString().split('T')[0]] || null;
+}
+
+/**
+ * Normalize a region name to one of HOLIDAY_REGIONS
+ * @param {string} region - Region name (e.g. "Scotland", "england", "NI")
+ * @returns {string|null} Normalized region or null if invalid
+ */
+export function normalizeRegion(region) {
+  const regionMap = {
+    'england-and-wales': 'england-and-wales',
+    'england': 'england-and-wales',
+    'wales': 'england-and-wales',
+    'scotland': 'scotland',
+    'northern-ireland': 'northern-ireland',
+    'ni': 'northern-ireland'
+  };
+
+  if (!region) {
+    return null;
+  }
+
+  const key = region.toLowerCase().trim().replace(/[\s_]+/g, '-').replace(/-&-/g, '-and-');
+  return regionMap[key] || null;
+}
@@ -0,0 +1,155 @@
+/**
+ * Minimal iCalendar (RFC 5545) helpers
+ */
+
+/**
+ * Parse the events out of an iCalendar file
+ * @param {string} text - Contents of an .ics file
+ * @returns {Object[]} Array of { date, summary } objects, with dates in YYYY-MM-DD format
+ */
+export function parseIcsEvents(text) {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const events = [];
+  let currentEvent = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      currentEvent = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (currentEvent && currentEvent.date) {
+        events.push({ date: currentEvent.date, summary: currentEvent.summary || '' });
+      }
+      currentEvent = null;
+      continue;
+    }
+
+    if (!currentEvent) {
+      continue;
+    }
+
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex === -1) {
+      continue;
+    }
+
+    // Property names can carry parameters, e.g. DTSTART;VALUE=DATE:20251225
+    const name = line.slice(0, separatorIndex).split(';')[0].toUpperCase();
+    const value = line.slice(separatorIndex + 1);
+
+    if (name === 'DTSTART') {
+      const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+      if (match) {
+        currentEvent.date = `${match[1]}-${match[2]}-${match[3]}`;
+      }
+    } else if (name === 'SUMMARY') {
+      currentEvent.summary = unescapeText(value);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Build an iCalendar file of all-day events
+ * @param {Object} calendar - Calendar details
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {Object[]} calendar.events - Events: { uid, start, end, summary, description }, where start and end
+ *   are the first and last days of the event in YYYY-MM-DD format
+ * @param {Date} [calendar.generatedAt] - Timestamp for the events (default: now)
+ * @returns {string} Contents of an .ics file
+ */
+export function buildIcsCalendar({ name, events, generatedAt = new Date() }) {
+  const stamp = generatedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ministryofjustice//hmpps-accommodation-services-support-bot//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.start, 0)}`,
+      // All-day events end on the day after the last day
+      `DTEND;VALUE=DATE:${toIcsDate(event.end, 1)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert a YYYY-MM-DD date to an iCalendar DATE value
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} offsetDays - Days to add
+ * @returns {string} Date in YYYYMMDD format
+ */
+function toIcsDate(date, offsetDays) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + offsetDays);
+  return result.toISOString().split('T')[0].replace(/-/g, '');
+}
+
+/**
+ * Escape an iCalendar TEXT value
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string} Unescaped value
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
@@ -1,251 +1,385 @@
-import { getNextEngineers, updateRotation } from './rotation.js';
-import { postSupportAssignment, getUserStatuses, getUserGroupMembers } from './slack.js';
-import { loadRotationData, saveRotationData } from './storage.js';
-import { getAvailableEngineers, isNonWorkingDay } from './nonWorkingDays.js';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Configuration
-const CONFIG = {
-  slackToken: process.env.SLACK_TOKEN,
-  channelId: process.env.SLACK_CHANNEL_ID || 'cas-dev', // The channel to post to
-  userGroupId: process.env.SLACK_USERGROUP_ID || 'cas-engineers', // The user group to pull engineers from
-  daysPerRotation: parseInt(process.env.DAYS_PER_ROTATION || '2', 10), // Number of days each rotation lasts
-  engineersPerShift: parseInt(process.env.ENGINEERS_PER_SHIFT || '2', 10), // Number of engineers on support at once
-  slackEnabled: process.env.SLACK_ENABLED !== 'false' // Whether to post to Slack (default: false)
-};
-
-async function main() {
-  try {
-    // Check if we have the necessary configuration
-    if (CONFIG.slackEnabled && !CONFIG.slackToken) {
-        throw new Error('SLACK_TOKEN is required when Slack is enabled');
-    }
+import { planRotation, applyDecision, getShiftToRemind } from './engine.js';
+import {
+  postSupportAssignment,
+  buildSupportAssignmentMessage,
+  postUnstaffedEscalation,
+  buildUnstaffedEscalation,
+  postUpcomingSchedule,
+  buildUpcomingScheduleMessage,
+  postHandoverPrompt,
+  buildHandoverPrompt,
+  sendDirectMessages,
+  buildShiftDirectMessage,
+  buildRemovalDirectMessage,
+  showWhoIsOnSupport,
+  buildSupportTopic,
+  printSlackMessage,
+  getUserStatuses,
+  getUserGroupMembers
+} from './slack.js';
+import { createStorage, createDryRunStorage } from './storage.js';
+import { pruneNonWorkingDays } from './nonWorkingDays.js';
+import { loadHolidayCalendar } from './holidays.js';
+import { refreshSchedule, scheduleOptionsFromConfig } from './schedule.js';
+import { loadMessageTemplates } from './messages.js';
+import { loadStatusRules } from './statuses.js';
+import { getCurrentShift, wantsDirectMessages } from './rotation.js';
+import { getSlackGateway } from './slackGateway.js';
+
+/**
+ * Run the support rotation
+ * @param {string} action - 'assign' to rotate when due, 'force_reassign' to reassign now,
+ *   or 'schedule' to plan the upcoming rotations and post a summary
+ * @param {Object} config - Configuration from loadConfig
+ */
+export async function runRotation(action, config) {
+  // Load current rotation data
+  let storage = await createStorage({
+    backend: config.storageBackend,
+    dataPath: config.dataPath,
+    archivePath: config.archivePath,
+    sqlitePath: config.sqlitePath
+  });
+  if (config.dryRun) {
+    storage = createDryRunStorage(storage);
+  }
 
-    // Determine what action to take
-    const action = process.env.ACTION || 'assign';
+  try {
+    const rotationData = storage.loadRotationData();
 
-    // Load current rotation data
-    const dataPath = join(dirname(__dirname), 'data', 'rotation.json');
-    const rotationData = loadRotationData(dataPath);
+    // Load the team's bank holidays
+    const holidayCalendar = loadHolidayCalendar(config.holidayCalendars, config.holidayRegion);
 
     const today = new Date();
 
-    let engineers = [];
-    let userStatuses = {};
+    // Housekeeping: move past non-working dates into the archive to keep the data file small
+    const archive = storage.loadArchiveData();
+    const archived = pruneNonWorkingDays(rotationData, archive, today);
 
-    if (CONFIG.slackEnabled) {
-      // Get all members of the engineering group
-      engineers = await getUserGroupMembers(CONFIG.slackToken, CONFIG.userGroupId);
-      // Get user statuses to check for out-of-office or illness
-      userStatuses = await getUserStatuses(CONFIG.slackToken, engineers);
-    } else {
-      console.log('Slack is disabled. Using engineers from rotation data.');
-      // Use engineers from rotation data when Slack is disabled
-      engineers = rotationData.rotationOrder.length > 0 ? rotationData.rotationOrder : ['U123456', 'U234567', 'U345678', 'U456789'];
+    if (Object.keys(archived).length > 0) {
+      storage.saveArchiveData(archive);
+      storage.saveRotationData(rotationData);
+      console.log(`Archived past non-working days for ${Object.keys(archived).length} user(s).`);
     }
 
-    // Filter out engineers who are out of office or ill
-    const statusFilteredEngineers = engineers.filter(userId => {
-      const status = userStatuses[userId];
-      if (!status) return true;
+    const { engineers, statuses } = await fetchEngineers(rotationData, config);
 
-      const statusText = status.statusText.toLowerCase();
-      const isOOO = statusText.includes('ooo') ||
-        statusText.includes('out of office') ||
-        statusText.includes('vacation') ||
-        statusText.includes('holiday') ||
-        statusText.includes('sick') ||
-        statusText.includes('ill');
+    // Options for planning the upcoming rotations
+    const scheduleOptions = scheduleOptionsFromConfig(config, holidayCalendar);
 
-      return !isOOO;
-    });
+    if (action === 'schedule') {
+      // Plan the upcoming rotations and post a summary
+      const updatedData = refreshSchedule(rotationData, engineers, scheduleOptions);
+      storage.saveRotationData(updatedData);
 
-    // Calculate date range for this rotation
-    // We need to find a date range that contains CONFIG.daysPerRotation weekdays
-    const endDate = new Date(today);
-    let weekdaysCount = 0;
-
-    while (weekdaysCount < CONFIG.daysPerRotation) {
-      endDate.setDate(endDate.getDate() + 1);
-      const dayOfWeek = endDate.getDay();
-      // Only count weekdays (Monday to Friday)
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-        weekdaysCount++;
+      if (config.slackEnabled && !config.dryRun) {
+        await postUpcomingSchedule(getSlackGateway(config), config.channelId, updatedData.schedule);
+      } else {
+        printSlackMessage('UPCOMING SUPPORT', buildUpcomingScheduleMessage(updatedData.schedule), { dryRun: config.dryRun });
       }
-    }
 
-    // Further filter by non-working days
-    const availableEngineers = getAvailableEngineers(
-      rotationData,
-      statusFilteredEngineers,
-      today,
-      endDate
-    );
+      console.log('Support rotation process completed successfully.');
+      return;
+    }
 
     if (action === 'force_reassign') {
       console.log('Forcing support reassignment.');
+    }
 
-      // Try to get different engineers than currently assigned
-      let nextEngineers;
-      let attempts = 0;
-      const maxAttempts = 5;
+    const decision = planRotation({
+      now: today,
+      engineers,
+      statuses,
+      statusRules: loadStatusRules(config.statusRulesPath),
+      data: rotationData,
+      config,
+      holidayCalendar,
+      trigger: action === 'force_reassign' ? 'force' : 'scheduled'
+    });
 
-      do {
-        // Get next engineers
-        nextEngineers = getNextEngineers(rotationData, availableEngineers, CONFIG.engineersPerShift);
+    if (decision.reason === 'not_due') {
+      console.log(`Not time for rotation yet. Days since last rotation: ${decision.daysSinceLastRotation}`);
+    } else if (decision.reason === 'non_working_day') {
+      console.log('Today is a non-working day. Skipping rotation until next working day.');
+    } else {
+      if (decision.trigger === 'scheduled') {
+        console.log('Time for a new rotation.');
+      }
 
-        // Shuffle the rotation order to get different engineers on next attempt
-        if (availableEngineers.length > CONFIG.engineersPerShift) {
-          shuffleArray(rotationData.rotationOrder);
+      await carryOutDecision(rotationData, decision, today, config, updatedData => {
+        // The plan that follows on from a new assignment changes with it
+        if (decision.action === 'assign') {
+          refreshSchedule(updatedData, engineers, scheduleOptions);
         }
+        storage.saveRotationData(updatedData);
+      });
 
-        attempts++;
-        // Break if we've tried several times or have limited engineers
-        if (attempts >= maxAttempts || availableEngineers.length <= CONFIG.engineersPerShift) {
-          break;
-        }
-      } while (arraysHaveSameElements(nextEngineers, rotationData.currentEngineers));
-
-      // Post to Slack or log to console
-      if (CONFIG.slackEnabled) {
-        await postSupportAssignment(
-            CONFIG.slackToken,
-            CONFIG.channelId,
-            nextEngineers,
-            'Support duty has been reassigned.',
-            CONFIG.daysPerRotation
-        );
-      } else {
-        logSupportAssignment(nextEngineers, 'Support duty has been reassigned.', CONFIG.daysPerRotation);
+      if (decision.action === 'assign') {
+        console.log(`${decision.trigger === 'force' ? 'Support reassigned to' : 'New support assignment'}: ${decision.engineers.join(', ')}`);
       }
+    }
 
-      // Update rotation data
-      const updatedData = updateRotation(rotationData, nextEngineers);
-      saveRotationData(dataPath, updatedData);
+    // The daily run also reminds the engineers on the next planned shift, the working day before it
+    if (action === 'assign') {
+      await remindNextShift(rotationData, today, holidayCalendar, config, data => storage.saveRotationData(data));
+    }
 
-      console.log(`Support reassigned to: ${nextEngineers.join(', ')}`);
-    } else {
-      // Regular assignment logic
-      // Check if it's time for a new rotation (every other working day)
-      const lastRotationDate = rotationData.lastRotationDate ? new Date(rotationData.lastRotationDate) : null;
-
-      // Calculate days since last rotation (excluding weekends)
-      let daysSinceLastRotation = 0;
-
-      if (lastRotationDate) {
-        const currentDate = new Date(lastRotationDate);
-        currentDate.setDate(currentDate.getDate() + 1); // Start with the day after last rotation
-
-        while (currentDate <= today) {
-          const dayOfWeek = currentDate.getDay();
-          // Only count weekdays (Monday to Friday)
-          if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-            daysSinceLastRotation++;
-          }
-          currentDate.setDate(currentDate.getDate() + 1);
-        }
-      } else {
-        // Force rotation if no last date
-        daysSinceLastRotation = CONFIG.daysPerRotation;
-      }
+    console.log('Support rotation process completed successfully.');
+  } finally {
+    storage.close();
+  }
+}
 
-      if (daysSinceLastRotation >= CONFIG.daysPerRotation) {
-        console.log('Time for a new rotation.');
+/**
+ * Get the engineers who could be on support and their Slack statuses
+ * When Slack is disabled, engineers come from the rotation data and nobody has a status.
+ * If Slack can't list the user group, the engineers already in the rotation data are used.
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Promise<Object>} { engineers, statuses }
+ */
+export async function fetchEngineers(rotationData, config) {
+  if (!config.slackEnabled) {
+    console.log('Slack is disabled. Using engineers from rotation data.');
+    return {
+      engineers: rotationData.rotationOrder.length > 0 ? rotationData.rotationOrder : ['U123456', 'U234567', 'U345678', 'U456789'],
+      statuses: {}
+    };
+  }
 
-        // Make sure we're not starting a rotation on a weekend
-        if (today.getDay() === 0 || today.getDay() === 6) {
-          console.log('Today is a weekend day. Skipping rotation until next weekday.');
-          return;
-        }
+  const slack = getSlackGateway(config);
 
-        // Get next engineers
-        const nextEngineers = getNextEngineers(rotationData, availableEngineers, CONFIG.engineersPerShift);
-
-        // Post to Slack or log to console
-        if (CONFIG.slackEnabled) {
-          await postSupportAssignment(
-              CONFIG.slackToken,
-              CONFIG.channelId,
-              nextEngineers,
-              null,
-              CONFIG.daysPerRotation
-          );
-        } else {
-          logSupportAssignment(nextEngineers, null, CONFIG.daysPerRotation);
-        }
+  // Get all members of the engineering group, falling back to the engineers we already know about
+  let engineers;
+  try {
+    engineers = await getUserGroupMembers(slack, config.userGroupId);
+  } catch (error) {
+    if (rotationData.rotationOrder.length === 0) {
+      throw error;
+    }
+    console.warn(`Could not get the members of ${config.userGroupId}, using the engineers in the rotation data instead.`);
+    engineers = rotationData.rotationOrder;
+  }
+
+  // Get user statuses to check for out-of-office or illness
+  const statuses = await getUserStatuses(slack, engineers);
+
+  return { engineers, statuses };
+}
+
+/**
+ * Carry out a rotation decision: update the rotation data, then post (or print) the assignment or escalation
+ * The data is saved before anything is posted, so if saving fails nothing is sent, and if posting fails
+ * the next run doesn't send it all again. It's saved again once the new shift's thread is known.
+ * @param {Object} rotationData - Current rotation data, updated in place
+ * @param {Object} decision - Decision from planRotation
+ * @param {Date} now - Current time
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Function} save - Saves the updated rotation data
+ * @returns {Promise<Object>} Updated rotation data
+ */
+export async function carryOutDecision(rotationData, decision, now, config, save) {
+  const post = config.slackEnabled && !config.dryRun;
+
+  // Say who was left out and why, so a surprising pick can be explained
+  for (const { userId, reason, detail } of decision.availability ? decision.availability.excluded : []) {
+    console.log(`Not available: ${userId} (${reason}: ${detail})`);
+  }
+
+  if (decision.action === 'escalate') {
+    console.warn(`Unable to staff the support rotation: ${decision.reason}`);
 
-        // Update rotation data
-        const updatedData = updateRotation(rotationData, nextEngineers);
-        saveRotationData(dataPath, updatedData);
+    const updatedData = applyDecision(rotationData, decision, now);
+    const entry = updatedData.history[updatedData.history.length - 1];
+    const escalationDetails = { ...decision.unstaffedDetails, attempts: entry.attempts };
+
+    // Post the escalation once, not on every run, until the reason or the counts change
+    if (entry.escalated) {
+      console.log(`Still unstaffed (${decision.reason}, attempt ${entry.attempts}); the escalation has already been posted.`);
+      save(updatedData);
+      return updatedData;
+    }
+    entry.escalated = true;
+    save(updatedData);
+
+    if (post) {
+      await postUnstaffedEscalation(
+        getSlackGateway(config),
+        config.channelId,
+        decision.reason,
+        escalationDetails,
+        config.escalationUserGroupId
+      );
+    } else {
+      printSlackMessage(
+        'UNSTAFFED ROTATION',
+        buildUnstaffedEscalation(decision.reason, escalationDetails, config.escalationUserGroupId),
+        { dryRun: config.dryRun }
+      );
+    }
+
+    return updatedData;
+  }
+
+  if (decision.action === 'assign') {
+    for (const note of decision.notes) {
+      console.log(note);
+    }
+    for (const warning of decision.warnings) {
+      console.warn(`Warning: ${warning}`);
+    }
 
-        console.log(`New support assignment: ${nextEngineers.join(', ')}`);
+    const templates = loadMessageTemplates(config.messagesPath);
+    const assignment = {
+      engineers: decision.engineers,
+      slots: decision.slots,
+      reason: decision.announcement,
+      notes: decision.notes,
+      warnings: decision.warnings,
+      ...decision.shift,
+      days: config.daysPerRotation
+    };
+
+    // Reassignments carry on in the current shift's thread. A new shift starts its own thread,
+    // after asking the outgoing engineers for a handover in theirs.
+    const previousShift = getCurrentShift(rotationData);
+    const previousThread = previousShift && previousShift.thread ? previousShift.thread : null;
+    const reassignment = decision.trigger !== 'scheduled';
+
+    // Only engineers leaving support hand over, and only to those joining it
+    const outgoing = previousShift ? previousShift.engineers.filter(id => !decision.engineers.includes(id)) : [];
+    const incoming = previousShift ? decision.engineers.filter(id => !previousShift.engineers.includes(id)) : [];
+
+    // Tell engineers joining support directly, and anyone a reassignment took off it
+    const previousEngineers = rotationData.currentEngineers;
+    const joining = reassignment ? decision.engineers.filter(id => !previousEngineers.includes(id)) : decision.engineers;
+    const leaving = reassignment ? previousEngineers.filter(id => !decision.engineers.includes(id)) : [];
+    const excluded = decision.availability ? decision.availability.excluded : [];
+
+    const updatedData = applyDecision(rotationData, decision, now);
+    save(updatedData);
+
+    if (!reassignment && previousThread && outgoing.length > 0 && incoming.length > 0) {
+      if (post) {
+        assignment.handoverUrl = await postHandoverPrompt(getSlackGateway(config), previousThread, outgoing, incoming);
+        assignment.handoverTo = incoming;
       } else {
-        console.log(`Not time for rotation yet. Days since last rotation: ${daysSinceLastRotation}`);
+        printSlackMessage('HANDOVER PROMPT', buildHandoverPrompt(outgoing, incoming), { dryRun: config.dryRun });
       }
     }
 
-    console.log('Support rotation process completed successfully.');
-  } catch (error) {
-    console.error('Error in support rotation:', error);
-    process.exit(1);
+    if (post) {
+      const thread = await postSupportAssignment(
+        getSlackGateway(config),
+        config.channelId,
+        templates,
+        assignment,
+        reassignment ? previousThread : null
+      );
+      if (thread) {
+        getCurrentShift(updatedData).thread = thread;
+        save(updatedData);
+      }
+    } else {
+      const { text } = buildSupportAssignmentMessage(templates, assignment);
+      printSlackMessage('SUPPORT ASSIGNMENT', text, { dryRun: config.dryRun, copyPrompt: true });
+    }
+
+    await notifyEngineers(updatedData, [
+      ...joining.map(userId => ({
+        userId,
+        text: buildShiftDirectMessage(userId, { engineers: decision.engineers, slots: decision.slots, ...decision.shift })
+      })),
+      ...leaving.map(userId => {
+        const exclusion = excluded.find(e => e.userId === userId);
+        return {
+          userId,
+          text: buildRemovalDirectMessage(exclusion ? exclusion.detail : 'support was reassigned', decision.engineers)
+        };
+      })
+    ], config);
+
+    await updateWhoIsOnSupport(decision.engineers, decision.shift.end, config);
+    return updatedData;
   }
+
+  const updatedData = applyDecision(rotationData, decision, now);
+  save(updatedData);
+  return updatedData;
 }
 
 /**
- * Helper function to check if arrays have the same elements (regardless of order)
- * @param {Array} arr1 - First array
- * @param {Array} arr2 - Second array
- * @returns {boolean} True if arrays have the same elements
+ * Remind the engineers on the next planned shift, on the working day before it starts
+ * Each shift is only reminded about once: the reminder is saved before it's sent, as for carryOutDecision.
+ * @param {Object} rotationData - Current rotation data, updated in place
+ * @param {Date} now - Current time
+ * @param {Object} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Function} save - Saves the updated rotation data
+ * @returns {Promise<boolean>} True if a reminder was sent
  */
-function arraysHaveSameElements(arr1, arr2) {
-  if (!arr1 || !arr2) return false;
-  if (arr1.length !== arr2.length) return false;
+export async function remindNextShift(rotationData, now, holidayCalendar, config, save) {
+  const shift = getShiftToRemind(rotationData, now, holidayCalendar);
+  if (!shift) {
+    return false;
+  }
+
+  rotationData.lastReminderDate = shift.start;
+  save(rotationData);
 
-  const set1 = new Set(arr1);
-  return arr2.every(item => set1.has(item));
+  await notifyEngineers(rotationData, shift.engineers.map(userId => ({
+    userId,
+    text: buildShiftDirectMessage(userId, shift, true)
+  })), config);
+  return true;
 }
 
 /**
- * Helper function to shuffle an array
- * @param {Array} array - Array to shuffle
- * @returns {Array} Shuffled array
+ * Send (or print) direct messages to engineers, leaving out anyone who has opted out
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object[]} messages - Messages ({ userId, text })
+ * @param {Object} config - Configuration from loadConfig
  */
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+async function notifyEngineers(rotationData, messages, config) {
+  const wanted = messages.filter(({ userId }) => wantsDirectMessages(rotationData, userId));
+  if (wanted.length === 0) {
+    return;
+  }
+
+  if (config.slackEnabled && !config.dryRun) {
+    await sendDirectMessages(getSlackGateway(config), wanted);
+  } else {
+    for (const { userId, text } of wanted) {
+      printSlackMessage(`DIRECT MESSAGE TO ${userId}`, text, { dryRun: config.dryRun });
+    }
   }
-  return array;
 }
 
 /**
-  * Log support assignment to console when Slack is disabled
-  * @param {string[]} engineers - Array of engineer user IDs
-  * @param {string} customMessage - Optional custom message
-  * @param {number} daysPerRotation - Number of days per rotation
-  */
-  function logSupportAssignment(engineers, customMessage = null, daysPerRotation = 2) {
-    // Format the engineers as user mentions (or just IDs when Slack is disabled)
-    const engineerMentions = engineers.map(id => `<@${id}>`).join(' and ');
-    // Create the message
-  const message = customMessage || `:sunny: Good morning team! :sunny:`;
-  const supportMessage = `${engineerMentions} are on application support for the next ${daysPerRotation} working days. During this time please keep an eye on the #cas-events channel and monitor any alerts that appear there.\n\nIf you are unable to immediately put in a fix for the alert, please document it in some way - either by creating a ticket in JIRA and/or commenting on the alert.\n
-  \n<https://dsdmoj.atlassian.net/wiki/spaces/AP/pages/5006426252/CAS+Technical+Support|See support documentation for guidance>.\n
-  \nTo add in your non-working days, <https://github.com/ministryofjustice/hmpps-community-accommodation-services-support-bot/actions/workflows/manage-non-working-days.yml|please use the action on the support bot here>.`;
-
-    console.log('\n' + '='.repeat(80));
-    console.log('SUPPORT ASSIGNMENT (Slack Disabled)');
-    console.log('='.repeat(80));
-    console.log(`${message}\n`);
-    console.log(`:sunflower: *Support Assignment* :sunflower:`);
-    console.log(supportMessage);
-    console.log('='.repeat(80));
-    console.log('\n📋 COPY THE ABOVE MESSAGE TO YOUR SLACK CHANNEL MANUALLY');
-    console.log('='.repeat(80) + '\n');
+ * Update the support user group and channel topic to show who's on support, or say how they'd change
+ * @param {string[]} engineers - Engineers on support now
+ * @param {string} end - Last day of their shift (YYYY-MM-DD)
+ * @param {Object} config - Configuration from loadConfig
+ */
+async function updateWhoIsOnSupport(engineers, end, config) {
+  if (!config.supportUserGroupId && !config.setChannelTopic) {
+    return;
   }
 
-main();
\ No newline at end of file
+  if (config.slackEnabled && !config.dryRun) {
+    await showWhoIsOnSupport(getSlackGateway(config), {
+      userGroupId: config.supportUserGroupId,
+      channel: config.channelId,
+      setTopic: config.setChannelTopic
+    }, engineers, end);
+    return;
+  }
+
+  const prefix = config.dryRun ? 'Dry run: would' : 'Slack is disabled. Would';
+  if (config.supportUserGroupId) {
+    console.log(`${prefix} update @${config.supportUserGroupId} to: ${engineers.join(', ')}`);
+  }
+  if (config.setChannelTopic) {
+    console.log(`${prefix} set the topic of #${config.channelId} to: ${buildSupportTopic(engineers, end)}`);
+  }
+}
@@ -1,49 +1,59 @@
-import { loadRotationData, saveRotationData } from './storage.js';
+import { createStorage, createDryRunStorage } from './storage.js';
 import * as NonWorkingDaysModule from './nonWorkingDays.js';
-import { postSupportAssignment, getUserStatuses, getUserGroupMembers } from './slack.js';
-import { getNextEngineers, updateRotation } from './rotation.js';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Configuration
-const CONFIG = {
-  slackToken: process.env.SLACK_TOKEN,
-  channelId: process.env.SLACK_CHANNEL_ID || 'cas-dev', // The channel to post to
-  userGroupId: process.env.SLACK_USERGROUP_ID || 'cas-engineers', // The user group to pull engineers from
-  daysPerRotation: parseInt(process.env.DAYS_PER_ROTATION || '2', 10), // Number of days each rotation lasts
-  engineersPerShift: parseInt(process.env.ENGINEERS_PER_SHIFT || '2', 10), // Number of engineers on support at once
-  slackEnabled: process.env.SLACK_ENABLED !== 'false' // Whether to post to Slack (default: false)
-};
-
-async function main() {
-  try {
-    // Check if we have the necessary configuration
-    if (CONFIG.slackEnabled && !CONFIG.slackToken) {
-      throw new Error('SLACK_TOKEN is required when Slack is enabled');
-    }
+import { loadHolidayCalendar } from './holidays.js';
+import { refreshSchedule, scheduleOptionsFromConfig } from './schedule.js';
+import { planRotation, needsReassignment } from './engine.js';
+import { fetchEngineers, carryOutDecision } from './index.js';
+import { loadStatusRules } from './statuses.js';
 
-    // Get inputs from environment variables
-    const action = process.env.ACTION || '';
-    const userId = process.env.USER_ID || '';
-    const daysInput = process.env.DAYS || '';
+/**
+ * Actions for manageAvailability
+ */
+export const AVAILABILITY_ACTIONS = [
+  'add_non_working_days',
+  'remove_non_working_days',
+  'clear_non_working_days',
+  'clear_specific_days',
+  'add_recurring_days',
+  'remove_recurring_days',
+  'clear_recurring_days',
+  'set_holiday_region',
+  'list_non_working_days',
+  'prune'
+];
 
-    if (!userId) {
-      throw new Error('USER_ID is required');
-    }
+/**
+ * Manage engineers' non-working days, reassigning support if someone on it is no longer available
+ * @param {Object} request - What to change
+ * @param {string} request.action - One of AVAILABILITY_ACTIONS
+ * @param {string} [request.userId] - User ID (optional for list_non_working_days and prune)
+ * @param {string[]} [request.days] - Dates, date ranges or day names, for adding and removing
+ * @param {string} [request.label] - Label for the leave, for adding
+ * @param {string} [request.region] - Bank holiday region, for set_holiday_region
+ * @param {Object} config - Configuration from loadConfig
+ */
+export async function manageAvailability({ action, userId = '', days = [], label = null, region = null }, config) {
+  // Listing and pruning work for everyone when no user is given
+  if (!userId && action !== 'list_non_working_days' && action !== 'prune') {
+    throw new Error('A user ID is required');
+  }
 
-    if (!action) {
-      throw new Error('ACTION is required');
-    }
+  // Load current rotation data
+  let storage = await createStorage({
+    backend: config.storageBackend,
+    dataPath: config.dataPath,
+    archivePath: config.archivePath,
+    sqlitePath: config.sqlitePath
+  });
+  if (config.dryRun) {
+    storage = createDryRunStorage(storage);
+  }
 
-    // Parse days input
-    const days = daysInput ? daysInput.split(',').map(d => d.trim()) : [];
+  try {
+    const rotationData = storage.loadRotationData();
 
-    // Load current rotation data
-    const dataPath = join(dirname(__dirname), 'data', 'rotation.json');
-    const rotationData = loadRotationData(dataPath);
+    // Load the team's bank holidays
+    const holidayCalendar = loadHolidayCalendar(config.holidayCalendars, config.holidayRegion);
 
     // Handle different actions
     if (action === 'add_non_working_days' || action === 'add_recurring_days') {
@@ -52,12 +62,12 @@ async function main() {
       }
 
       // Add non-working days for a user
-      const updatedData = NonWorkingDaysModule.addNonWorkingDays(rotationData, userId, days);
-      saveRotationData(dataPath, updatedData);
-      console.log(`Added ${action === 'add_recurring_days' ? 'recurring ' : ''}non-working days for user ${userId}: ${days.join(', ')}`);
+      const updatedData = NonWorkingDaysModule.addNonWorkingDays(rotationData, userId, days, label);
+      storage.saveRotationData(updatedData);
+      console.log(`Added ${action === 'add_recurring_days' ? 'recurring ' : ''}non-working days for user ${userId}: ${days.join(', ')}${label ? ` (${label})` : ''}`);
 
       // Check if this affects current rotation
-      await checkAndReassignIfNeeded(rotationData, updatedData, userId);
+      await checkAndReassignIfNeeded(updatedData, userId, holidayCalendar, storage, config);
     }
     else if (action === 'remove_non_working_days' || action === 'remove_recurring_days') {
       if (days.length === 0) {
@@ -66,156 +76,118 @@ async function main() {
 
       // Remove non-working days for a user
       const updatedData = NonWorkingDaysModule.removeNonWorkingDays(rotationData, userId, days);
-      saveRotationData(dataPath, updatedData);
+      storage.saveRotationData(updatedData);
       console.log(`Removed ${action === 'remove_recurring_days' ? 'recurring ' : ''}non-working days for user ${userId}: ${days.join(', ')}`);
     }
     else if (action === 'clear_non_working_days') {
       // Clear all non-working days for a user
       const updatedData = NonWorkingDaysModule.clearNonWorkingDays(rotationData, userId);
-      saveRotationData(dataPath, updatedData);
+      storage.saveRotationData(updatedData);
       console.log(`Cleared all non-working days for user ${userId}`);
     }
+    else if (action === 'clear_specific_days') {
+      // Clear only specific dates and leave blocks
+      const updatedData = NonWorkingDaysModule.clearNonWorkingDays(rotationData, userId, 'specific');
+      storage.saveRotationData(updatedData);
+      console.log(`Cleared non-working dates and leave for user ${userId}`);
+    }
     else if (action === 'clear_recurring_days') {
       // Clear only recurring days
       const updatedData = NonWorkingDaysModule.clearNonWorkingDays(rotationData, userId, 'recurring');
-      saveRotationData(dataPath, updatedData);
+      storage.saveRotationData(updatedData);
       console.log(`Cleared recurring non-working days for user ${userId}`);
     }
+    else if (action === 'list_non_working_days') {
+      // List non-working days for one user, or everyone
+      const userIds = userId ? [userId] : Object.keys(rotationData.nonWorkingDays || {});
+
+      for (const id of userIds) {
+        const lines = NonWorkingDaysModule.describeNonWorkingDays(rotationData, id);
+        console.log(`Non-working days for user ${id}:`);
+        console.log(lines.length > 0 ? lines.map(line => `  ${line}`).join('\n') : '  None');
+      }
+    }
+    else if (action === 'prune') {
+      // Archive past specific dates and leave blocks
+      const archive = storage.loadArchiveData();
+      const archived = NonWorkingDaysModule.pruneNonWorkingDays(rotationData, archive, new Date());
+
+      if (Object.keys(archived).length === 0) {
+        console.log('No past non-working days to archive.');
+      } else {
+        storage.saveArchiveData(archive);
+        storage.saveRotationData(rotationData);
+
+        for (const id of Object.keys(archived)) {
+          const lines = NonWorkingDaysModule.describeNonWorkingDays({ nonWorkingDays: archived }, id);
+          console.log(`Archived for user ${id}:`);
+          console.log(lines.map(line => `  ${line}`).join('\n'));
+        }
+      }
+    }
+    else if (action === 'set_holiday_region') {
+      // Set which bank holidays apply to a user (blank resets to the team's region)
+      const updatedData = NonWorkingDaysModule.setHolidayRegion(rotationData, userId, region || null);
+      storage.saveRotationData(updatedData);
+      console.log(`Set bank holiday region for user ${userId} to ${updatedData.holidayRegions[userId] || config.holidayRegion}`);
+
+      // Check if this affects current rotation
+      await checkAndReassignIfNeeded(updatedData, userId, holidayCalendar, storage, config);
+    }
     else {
       throw new Error(`Unknown action: ${action}`);
     }
 
+    // Availability has changed, so re-plan the upcoming rotations
+    if (action !== 'list_non_working_days' && action !== 'prune') {
+      refreshSchedule(rotationData, rotationData.rotationOrder, scheduleOptionsFromConfig(config, holidayCalendar));
+      storage.saveRotationData(rotationData);
+    }
+
     console.log('Non-working days management completed successfully.');
-  } catch (error) {
-    console.error('Error in non-working days management:', error);
-    process.exit(1);
+  } finally {
+    storage.close();
   }
 }
 
 /**
- * Check if the user is currently on support and if the changes affect the current rotation
- * @param {Object} originalData - Original rotation data
- * @param {Object} updatedData - Updated rotation data
+ * Reassign support if the user is on it and the change means they're now off today or on the next working day
+ * @param {Object} rotationData - Updated rotation data
  * @param {string} userId - User ID that was modified
+ * @param {Object} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @param {Object} storage - Rotation data storage from createStorage
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Promise<boolean>} True if support was reassigned (or escalated), and the rotation data saved
  */
-async function checkAndReassignIfNeeded(originalData, updatedData, userId) {
-  // Only check if the user is currently on support
-  if (!originalData.currentEngineers.includes(userId)) {
-    return;
+export async function checkAndReassignIfNeeded(rotationData, userId, holidayCalendar, storage, config) {
+  const now = new Date();
+  if (!needsReassignment(rotationData, userId, now, holidayCalendar)) {
+    return false;
   }
 
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(today.getDate() + 1);
-
-  // Check if today or tomorrow is now a non-working day for this user
-  if (NonWorkingDaysModule.isNonWorkingDay(updatedData, userId, today) ||
-    NonWorkingDaysModule.isNonWorkingDay(updatedData, userId, tomorrow)) {
-    console.log(`User ${userId} is currently on support but now has a non-working day. Reassigning...`);
-
-    let engineers = [];
-    let userStatuses = {};
-
-    if (CONFIG.slackEnabled) {
-      // Get all members of the engineering group
-      engineers = await getUserGroupMembers(CONFIG.slackToken, CONFIG.userGroupId);
-      // Get user statuses to check for out-of-office or illness
-      userStatuses = await getUserStatuses(CONFIG.slackToken, engineers);
-    } else {
-      console.log('Slack is disabled. Using engineers from rotation data.');
-      // Use engineers from rotation data when Slack is disabled
-      engineers = updatedData.rotationOrder.length > 0 ? updatedData.rotationOrder : ['U123456', 'U234567', 'U345678', 'U456789'];
-    }
-
-    // Filter out engineers who are out of office or ill
-    const statusFilteredEngineers = engineers.filter(engineerId => {
-      const status = userStatuses[engineerId];
-      if (!status) return true;
-
-      const statusText = status.statusText.toLowerCase();
-      const isOOO = statusText.includes('ooo') ||
-        statusText.includes('out of office') ||
-        statusText.includes('vacation') ||
-        statusText.includes('holiday') ||
-        statusText.includes('sick') ||
-        statusText.includes('ill');
-
-      return !isOOO;
-    });
-
-    // Calculate date range for this rotation
-    // We need to find a date range that contains CONFIG.daysPerRotation weekdays
-    const endDate = new Date(today);
-    let weekdaysCount = 0;
-
-    while (weekdaysCount < CONFIG.daysPerRotation) {
-      endDate.setDate(endDate.getDate() + 1);
-      const dayOfWeek = endDate.getDay();
-      // Only count weekdays (Monday to Friday)
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-        weekdaysCount++;
-      }
-    }
-
-    // Further filter by non-working days
-    const availableEngineers = NonWorkingDaysModule.getAvailableEngineers(
-      updatedData,
-      statusFilteredEngineers,
-      today,
-      endDate
-    );
-
-    const newEngineers = getNextEngineers(updatedData, availableEngineers, CONFIG.engineersPerShift);
-    // Post to Slack or log to console
-    if (CONFIG.slackEnabled) {
-      await postSupportAssignment(
-          CONFIG.slackToken,
-          CONFIG.channelId,
-          newEngineers,
-          'Reassigning support due to non-working days update.',
-          CONFIG.daysPerRotation
-      );
-    } else {
-      logSupportAssignment(newEngineers, 'Reassigning support due to non-working days update.', CONFIG.daysPerRotation);
-    }
-
-    // Update rotation data
-    const finalData = updateRotation(updatedData, newEngineers);
-
-    // Load the data path again to ensure we're using the correct path
-    const dataPath = join(dirname(__dirname), 'data', 'rotation.json');
-    saveRotationData(dataPath, finalData);
-
-    console.log(`Support reassigned to: ${newEngineers.join(', ')}`);
+  console.log(`User ${userId} is currently on support but now has a non-working day. Reassigning...`);
+
+  const { engineers, statuses } = await fetchEngineers(rotationData, config);
+  const decision = planRotation({
+    now,
+    engineers,
+    statuses,
+    statusRules: loadStatusRules(config.statusRulesPath),
+    data: rotationData,
+    config,
+    holidayCalendar,
+    trigger: 'availability_change',
+    userId
+  });
+
+  // Re-plan the upcoming rotations along with the reassignment, before anyone is told about it
+  await carryOutDecision(rotationData, decision, now, config, updatedData => {
+    refreshSchedule(updatedData, updatedData.rotationOrder, scheduleOptionsFromConfig(config, holidayCalendar));
+    storage.saveRotationData(updatedData);
+  });
+
+  if (decision.action === 'assign') {
+    console.log(`Support reassigned to: ${decision.engineers.join(', ')}`);
   }
+  return true;
 }
-
-/**
- * Log support assignment to console when Slack is disabled
- * @param {string[]} engineers - Array of engineer user IDs
- * @param {string} customMessage - Optional custom message
- * @param {number} daysPerRotation - Number of days per rotation
- */
-function logSupportAssignment(engineers, customMessage = null, daysPerRotation = 2) {
-  // Format the engineers as user mentions (or just IDs when Slack is disabled)
-  const engineerMentions = engineers.map(id => `<@${id}>`).join(' and ');
-
-  // Create the message
-  const message = customMessage || `:sunny: Good morning team! :sunny:`;
-  const supportMessage = `${engineerMentions} are on application support for the next ${daysPerRotation} working days. During this time please keep an eye on the #cas-events channel and monitor any alerts that appear there.\n\nIf you are unable to immediately put in a fix for the alert, please document it in some way - either by creating a ticket in JIRA and/or commenting on the alert.\n
-  \n<https://dsdmoj.atlassian.net/wiki/spaces/AP/pages/5006426252/CAS+Technical+Support|See support documentation for guidance>.\n
-  \nTo add in your non-working days, <https://github.com/ministryofjustice/hmpps-community-accommodation-services-support-bot/actions/workflows/manage-non-working-days.yml|please use the action on the support bot here>.`;
-
-  console.log('\n' + '='.repeat(80));
-  console.log('SUPPORT ASSIGNMENT (Slack Disabled)');
-  console.log('='.repeat(80));
-  console.log(`${message}\n`);
-  console.log(`:sunflower: *Support Assignment* :sunflower:`);
-  console.log(supportMessage);
-  console.log('='.repeat(80));
-  console.log('\n📋 COPY THE ABOVE MESSAGE TO YOUR SLACK CHANNEL MANUALLY');
-  console.log('='.repeat(80) + '\n');
-}
-
-// Run the main function
-main();
\ No newline at end of file
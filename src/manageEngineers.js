@@ -0,0 +1,101 @@
+import { createStorage, createDryRunStorage } from './storage.js';
+import { loadHolidayCalendar } from './holidays.js';
+import { refreshSchedule, scheduleOptionsFromConfig } from './schedule.js';
+import { setNewStarter, addTags, removeTags, setDirectMessages } from './rotation.js';
+
+/**
+ * Actions for manageEngineers
+ */
+export const ENGINEER_ACTIONS = [
+  'mark_new_starter',
+  'sign_off',
+  'add_tags',
+  'remove_tags',
+  'opt_out_direct_messages',
+  'opt_in_direct_messages',
+  'list'
+];
+
+/**
+ * Manage what the rotation knows about engineers: which are new starters, who can only fill slots for
+ * new starters until they're signed off, their skill tags for coverage rules, and who doesn't want direct messages
+ * @param {Object} request - What to change
+ * @param {string} request.action - One of ENGINEER_ACTIONS
+ * @param {string} [request.userId] - User ID (not needed for list)
+ * @param {string[]} [request.tags] - Tags, for add_tags and remove_tags
+ * @param {Object} config - Configuration from loadConfig
+ */
+export async function manageEngineers({ action, userId = '', tags = [] }, config) {
+  if (!userId && action !== 'list') {
+    throw new Error('A user ID is required');
+  }
+
+  if ((action === 'add_tags' || action === 'remove_tags') && tags.length === 0) {
+    throw new Error('At least one tag must be specified');
+  }
+
+  let storage = await createStorage({
+    backend: config.storageBackend,
+    dataPath: config.dataPath,
+    archivePath: config.archivePath,
+    sqlitePath: config.sqlitePath
+  });
+  if (config.dryRun) {
+    storage = createDryRunStorage(storage);
+  }
+
+  try {
+    const rotationData = storage.loadRotationData();
+
+    if (action === 'list') {
+      console.log(rotationData.newStarters.length > 0
+        ? `New starters: ${rotationData.newStarters.join(', ')}`
+        : 'New starters: none');
+
+      const tagged = Object.entries(rotationData.tags);
+      console.log(tagged.length > 0 ? 'Tags:' : 'Tags: none');
+      for (const [id, engineerTags] of tagged) {
+        console.log(`  ${id}: ${engineerTags.join(', ')}`);
+      }
+
+      const optedOut = Object.keys(rotationData.notificationPreferences);
+      console.log(`No direct messages: ${optedOut.length > 0 ? optedOut.join(', ') : 'none'}`);
+      return;
+    }
+
+    // Direct messages don't affect who's picked, so there's nothing to re-plan
+    if (action === 'opt_out_direct_messages' || action === 'opt_in_direct_messages') {
+      setDirectMessages(rotationData, userId, action === 'opt_in_direct_messages');
+      storage.saveRotationData(rotationData);
+      console.log(`${action === 'opt_in_direct_messages' ? 'Turned on' : 'Turned off'} direct messages for user ${userId}`);
+      return;
+    }
+
+    if (action === 'mark_new_starter') {
+      setNewStarter(rotationData, userId, true);
+      console.log(`Marked user ${userId} as a new starter`);
+    } else if (action === 'sign_off') {
+      if (!rotationData.newStarters.includes(userId)) {
+        console.log(`User ${userId} is not a new starter; nothing to sign off.`);
+        return;
+      }
+      setNewStarter(rotationData, userId, false);
+      console.log(`Signed off user ${userId}`);
+    } else if (action === 'add_tags') {
+      addTags(rotationData, userId, tags);
+      console.log(`Tagged user ${userId}: ${rotationData.tags[userId].join(', ')}`);
+    } else if (action === 'remove_tags') {
+      removeTags(rotationData, userId, tags);
+      console.log(`Removed tags from user ${userId}: ${tags.join(', ')}`);
+    } else {
+      throw new Error(`Unknown action: ${action}`);
+    }
+
+    // Who can fill which slot or cover which rule has changed, so re-plan the upcoming rotations
+    const holidayCalendar = loadHolidayCalendar(config.holidayCalendars, config.holidayRegion);
+    refreshSchedule(rotationData, rotationData.rotationOrder, scheduleOptionsFromConfig(config, holidayCalendar));
+    storage.saveRotationData(rotationData);
+  } finally {
+    storage.close();
+  }
+}
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Message templates, so teams can use their own wording, channels and links
+ * Templates are loaded from a JSON file (config/messages.json by default). Each message has a plain-text
+ * `text` fallback and Block Kit `blocks`, with {{placeholders}} filled in when the message is sent.
+ * A team's file only needs the parts it changes; everything else comes from the default file.
+ */
+
+export const DEFAULT_MESSAGES_PATH = join(dirname(__dirname), 'config', 'messages.json');
+
+/**
+ * Placeholders each message can use, on top of the file's own `variables`
+ */
+const MESSAGE_PLACEHOLDERS = {
+  supportAssignment: {
+    greeting: ['engineers', 'roles', 'startDate', 'endDate', 'days', 'daysRemaining'],
+    message: ['intro', 'reason', 'engineers', 'roles', 'startDate', 'endDate', 'days', 'daysRemaining']
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Load message templates, filling in anything not given from the defaults
+ * @param {string} [filePath] - Templates file (default: config/messages.json)
+ * @returns {Object} Templates: { variables, supportAssignment: { greeting, text, blocks } }
+ * @throws {Error} If the file can't be read or uses a placeholder that doesn't exist
+ */
+export function loadMessageTemplates(filePath = DEFAULT_MESSAGES_PATH) {
+  const defaults = readTemplatesFile(DEFAULT_MESSAGES_PATH);
+  const custom = filePath === DEFAULT_MESSAGES_PATH ? {} : readTemplatesFile(filePath);
+
+  const unknownMessages = Object.keys(custom).filter(key => key !== 'variables' && !MESSAGE_PLACEHOLDERS[key]);
+  if (unknownMessages.length > 0) {
+    throw new Error(`Unknown message(s) in ${filePath}: ${unknownMessages.join(', ')}. Expected: ${Object.keys(MESSAGE_PLACEHOLDERS).join(', ')}`);
+  }
+
+  const templates = {
+    variables: { ...defaults.variables, ...custom.variables }
+  };
+
+  for (const name of Object.keys(MESSAGE_PLACEHOLDERS)) {
+    templates[name] = { ...defaults[name], ...custom[name] };
+  }
+
+  const errors = checkTemplates(templates);
+  if (errors.length > 0) {
+    throw new Error(`Message templates in ${filePath} are invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return templates;
+}
+
+/**
+ * Fill in the {{placeholders}} in a template
+ * Strings inside Block Kit objects and arrays are filled in too.
+ * @param {string|Object|Array} template - Template
+ * @param {Object} values - Placeholder values
+ * @returns {string|Object|Array} Filled-in copy of the template
+ */
+export function renderTemplate(template, values) {
+  if (typeof template === 'string') {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      if (values[name] === undefined || values[name] === null) {
+        return '';
+      }
+      return String(values[name]);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, values));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, values)]));
+  }
+
+  return template;
+}
+
+/**
+ * Read and parse a templates file
+ * @param {string} filePath - Templates file
+ * @returns {Object} Parsed templates
+ */
+function readTemplatesFile(filePath) {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read message templates from ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Message templates in ${filePath} are not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Check templates have the right shape and only use placeholders that exist
+ * @param {Object} templates - Merged templates
+ * @returns {string[]} Errors
+ */
+function checkTemplates(templates) {
+  const errors = [];
+  const variables = Object.keys(templates.variables);
+
+  for (const [name, value] of Object.entries(templates.variables)) {
+    if (typeof value !== 'string') {
+      errors.push(`variables.${name}: must be a string`);
+    }
+  }
+
+  for (const [name, placeholders] of Object.entries(MESSAGE_PLACEHOLDERS)) {
+    const { greeting, text, blocks } = templates[name];
+    const check = (path, template, allowed) => {
+      for (const placeholder of findPlaceholders(template)) {
+        if (!allowed.includes(placeholder) && !variables.includes(placeholder)) {
+          errors.push(`${path}: unknown placeholder {{${placeholder}}}`);
+        }
+      }
+    };
+
+    if (typeof greeting !== 'string') {
+      errors.push(`${name}.greeting: must be a string`);
+    } else {
+      check(`${name}.greeting`, greeting, placeholders.greeting);
+    }
+
+    if (typeof text !== 'string' || text.trim() === '') {
+      errors.push(`${name}.text: a plain-text fallback is required`);
+    } else {
+      check(`${name}.text`, text, placeholders.message);
+    }
+
+    if (!Array.isArray(blocks)) {
+      errors.push(`${name}.blocks: must be a list of Block Kit blocks`);
+    } else {
+      check(`${name}.blocks`, blocks, placeholders.message);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find the placeholders used in a template
+ * @param {string|Object|Array} template - Template
+ * @returns {string[]} Placeholder names
+ */
+function findPlaceholders(template) {
+  if (typeof template === 'string') {
+    return [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.values(template).flatMap(findPlaceholders);
+  }
+
+  return [];
+}
@@ -1,15 +1,26 @@
+import { getBankHoliday, normalizeRegion, HOLIDAY_REGIONS } from './holidays.js';
+
 /**
  * Functions for managing engineers' non-working days
  */
 
+/**
+ * Parts of a day that can be marked as non-working, e.g. "2026-03-04:am" or "wednesday:pm"
+ */
+export const DAY_PARTS = ['am', 'pm'];
+
 /**
  * Add non-working days for a specific user
  * @param {Object} rotationData - Current rotation data
  * @param {string} userId - User ID
- * @param {string[]} days - Array of dates in YYYY-MM-DD format or day names (e.g., "friday")
+ * @param {string[]} days - Array of dates in YYYY-MM-DD format or day names (e.g., "friday"),
+ *   optionally with a half-day suffix (e.g., "2026-03-04:am", "wednesday:pm"),
+ *   or date ranges (e.g., "2026-08-03..2026-08-14")
+ * @param {string} [label] - Optional label for the leave, e.g. "annual leave" or "training".
+ *   Whole dates with a label are kept as one-day ranges so the label isn't lost
  * @returns {Object} Updated rotation data
  */
-export function addNonWorkingDays(rotationData, userId, days) {
+export function addNonWorkingDays(rotationData, userId, days, label = null) {
   // Initialize non-working days object if it doesn't exist
   if (!rotationData.nonWorkingDays) {
     rotationData.nonWorkingDays = {};
@@ -19,31 +30,45 @@ export function addNonWorkingDays(rotationData, userId, days) {
   if (!rotationData.nonWorkingDays[userId]) {
     rotationData.nonWorkingDays[userId] = {
       specificDates: [],
-      recurringDays: []
+      recurringDays: [],
+      ranges: []
     };
   }
 
-  // Ensure the new structure if coming from older version
-  if (!rotationData.nonWorkingDays[userId].specificDates) {
-    const oldDates = [...rotationData.nonWorkingDays[userId]];
-    rotationData.nonWorkingDays[userId] = {
-      specificDates: oldDates,
-      recurringDays: []
-    };
-  }
+  // Process each day to determine if it's a date range, a specific date or a recurring day
+  for (const entry of days) {
+    const range = parseDateRange(entry);
+    if (range === false) {
+      console.warn(`Ignoring "${entry}": date ranges must be YYYY-MM-DD..YYYY-MM-DD with the start on or before the end`);
+      continue;
+    }
 
-  // Process each day to determine if it's a specific date or a recurring day
-  for (const day of days) {
-    if (isDateFormat(day)) {
+    if (range) {
+      rotationData.nonWorkingDays[userId].ranges =
+        addRange(rotationData.nonWorkingDays[userId].ranges, range.start, range.end, label);
+      continue;
+    }
+
+    const { day, part } = splitDayPart(entry);
+    if (part === undefined) {
+      console.warn(`Ignoring "${entry}": half days must end in ${DAY_PARTS.map(p => `:${p}`).join(' or ')}`);
+      continue;
+    }
+
+    if (isDateFormat(day) && !part && label) {
+      // A labelled single date
+      rotationData.nonWorkingDays[userId].ranges =
+        addRange(rotationData.nonWorkingDays[userId].ranges, day, day, label);
+    } else if (isDateFormat(day)) {
       // It's a specific date (YYYY-MM-DD)
-      if (!rotationData.nonWorkingDays[userId].specificDates.includes(day)) {
-        rotationData.nonWorkingDays[userId].specificDates.push(day);
-      }
+      rotationData.nonWorkingDays[userId].specificDates =
+        addDayEntry(rotationData.nonWorkingDays[userId].specificDates, day, part);
     } else {
       // It's a day of the week
       const normalizedDay = normalizeDay(day);
-      if (normalizedDay && !rotationData.nonWorkingDays[userId].recurringDays.includes(normalizedDay)) {
-        rotationData.nonWorkingDays[userId].recurringDays.push(normalizedDay);
+      if (normalizedDay) {
+        rotationData.nonWorkingDays[userId].recurringDays =
+          addDayEntry(rotationData.nonWorkingDays[userId].recurringDays, normalizedDay, part);
       }
     }
   }
@@ -59,7 +84,9 @@ export function addNonWorkingDays(rotationData, userId, days) {
  * Remove non-working days for a specific user
  * @param {Object} rotationData - Current rotation data
  * @param {string} userId - User ID
- * @param {string[]} days - Array of dates in YYYY-MM-DD format or day names to remove
+ * @param {string[]} days - Array of dates in YYYY-MM-DD format, date ranges or day names to remove.
+ *   Without a half-day suffix, the whole day (including any half days) is removed.
+ *   A date range removes a matching leave block as a whole, and anything else inside it
  * @returns {Object} Updated rotation data
  */
 export function removeNonWorkingDays(rotationData, userId, days) {
@@ -68,31 +95,50 @@ export function removeNonWorkingDays(rotationData, userId, days) {
     return rotationData;
   }
 
-  // Ensure the structure is correct
-  if (!rotationData.nonWorkingDays[userId].specificDates) {
-    const oldDates = [...rotationData.nonWorkingDays[userId]];
-    rotationData.nonWorkingDays[userId] = {
-      specificDates: oldDates,
-      recurringDays: []
-    };
-  }
-
   // Process each day to determine type and remove accordingly
-  for (const day of days) {
+  for (const entry of days) {
+    const range = parseDateRange(entry);
+    if (range) {
+      // Remove the block, and any dates or parts of other blocks inside it
+      rotationData.nonWorkingDays[userId].ranges =
+        removeRange(rotationData.nonWorkingDays[userId].ranges, range.start, range.end);
+      rotationData.nonWorkingDays[userId].specificDates =
+        rotationData.nonWorkingDays[userId].specificDates.filter(d => {
+          const date = splitDayPart(d).day;
+          return date < range.start || date > range.end;
+        });
+      continue;
+    }
+
+    const { day, part } = splitDayPart(entry);
+    if (part === undefined || range === false) {
+      continue;
+    }
+
     if (isDateFormat(day)) {
       // It's a specific date (YYYY-MM-DD)
       rotationData.nonWorkingDays[userId].specificDates =
-        rotationData.nonWorkingDays[userId].specificDates.filter(d => d !== day);
+        removeDayEntry(rotationData.nonWorkingDays[userId].specificDates, day, part);
+
+      // A whole date also comes out of any block it's in
+      if (!part) {
+        rotationData.nonWorkingDays[userId].ranges =
+          removeRange(rotationData.nonWorkingDays[userId].ranges, day, day);
+      }
     } else {
       // It's a day of the week
       const normalizedDay = normalizeDay(day);
       if (normalizedDay) {
         rotationData.nonWorkingDays[userId].recurringDays =
-          rotationData.nonWorkingDays[userId].recurringDays.filter(d => d !== normalizedDay);
+          removeDayEntry(rotationData.nonWorkingDays[userId].recurringDays, normalizedDay, part);
       }
     }
   }
 
+  // Removing half of a whole day can add the other half, so keep the lists sorted
+  rotationData.nonWorkingDays[userId].specificDates.sort();
+  rotationData.nonWorkingDays[userId].recurringDays.sort(sortDaysOfWeek);
+
   return rotationData;
 }
 
@@ -100,7 +146,7 @@ export function removeNonWorkingDays(rotationData, userId, days) {
  * Clear all non-working days for a specific user
  * @param {Object} rotationData - Current rotation data
  * @param {string} userId - User ID
- * @param {string} [type] - Type of non-working days to clear ('specific', 'recurring', or null for all)
+ * @param {string} [type] - Type of non-working days to clear ('specific' for dates and ranges, 'recurring', or null for all)
  * @returns {Object} Updated rotation data
  */
 export function clearNonWorkingDays(rotationData, userId, type = null) {
@@ -113,61 +159,194 @@ export function clearNonWorkingDays(rotationData, userId, type = null) {
     // Clear all
     delete rotationData.nonWorkingDays[userId];
   } else if (type === 'specific') {
-    // Clear specific dates only
-    if (rotationData.nonWorkingDays[userId].specificDates) {
-      rotationData.nonWorkingDays[userId].specificDates = [];
-    }
+    // Clear specific dates and date ranges only
+    rotationData.nonWorkingDays[userId].specificDates = [];
+    rotationData.nonWorkingDays[userId].ranges = [];
   } else if (type === 'recurring') {
     // Clear recurring days only
-    if (rotationData.nonWorkingDays[userId].recurringDays) {
-      rotationData.nonWorkingDays[userId].recurringDays = [];
+    rotationData.nonWorkingDays[userId].recurringDays = [];
+  }
+
+  return rotationData;
+}
+
+/**
+ * Move past specific dates and leave blocks out of the rotation data and into an archive
+ * Recurring days are never archived.
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} archive - Archive of past non-working days, keyed by user ID
+ * @param {Date} today - Dates before this day are archived
+ * @returns {Object} What was archived: map of user IDs to { specificDates, ranges }
+ */
+export function pruneNonWorkingDays(rotationData, archive, today) {
+  const archived = {};
+  const todayFormatted = formatDate(today);
+
+  for (const [userId, config] of Object.entries(rotationData.nonWorkingDays || {})) {
+    const { specificDates, ranges } = config;
+
+    const pastDates = specificDates.filter(d => splitDayPart(d).day < todayFormatted);
+    const pastRanges = ranges.filter(r => r.end < todayFormatted);
+
+    if (pastDates.length === 0 && pastRanges.length === 0) {
+      continue;
+    }
+
+    archived[userId] = { specificDates: pastDates, ranges: pastRanges };
+
+    // Add to the user's archive
+    if (!archive[userId]) {
+      archive[userId] = { specificDates: [], ranges: [] };
+    }
+    archive[userId].specificDates = [...new Set([...archive[userId].specificDates, ...pastDates])].sort();
+    archive[userId].ranges = [...archive[userId].ranges, ...pastRanges];
+
+    // Keep only what's still to come
+    const remaining = {
+      specificDates: specificDates.filter(d => !pastDates.includes(d)),
+      recurringDays: config.recurringDays,
+      ranges: ranges.filter(r => !pastRanges.includes(r))
+    };
+
+    if (remaining.specificDates.length === 0 && remaining.recurringDays.length === 0 && remaining.ranges.length === 0) {
+      delete rotationData.nonWorkingDays[userId];
+    } else {
+      rotationData.nonWorkingDays[userId] = remaining;
     }
   }
 
+  return archived;
+}
+
+/**
+ * Set the bank holiday region for a specific user
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {string} region - Holiday region (e.g. "scotland"), or null to use the team's region
+ * @returns {Object} Updated rotation data
+ */
+export function setHolidayRegion(rotationData, userId, region) {
+  if (!rotationData.holidayRegions) {
+    rotationData.holidayRegions = {};
+  }
+
+  if (!region) {
+    delete rotationData.holidayRegions[userId];
+    return rotationData;
+  }
+
+  const normalizedRegion = normalizeRegion(region);
+  if (!normalizedRegion) {
+    throw new Error(`Unknown holiday region: ${region}. Expected one of: ${HOLIDAY_REGIONS.join(', ')}`);
+  }
+
+  rotationData.holidayRegions[userId] = normalizedRegion;
   return rotationData;
 }
 
+/**
+ * Check if a date is a non-working day for the whole team (a weekend or a bank holiday in the team's region)
+ * @param {Date} date - Date to check
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @returns {boolean} True if it's a team-wide non-working day
+ */
+export function isTeamNonWorkingDay(date, holidayCalendar = null) {
+  const dayOfWeek = date.getDay();
+  if (dayOfWeek === 0 || dayOfWeek === 6) {
+    return true;
+  }
+
+  return getBankHoliday(holidayCalendar, null, date) !== null;
+}
+
+/**
+ * Move a date forward by a number of team working days
+ * @param {Date} date - Starting date
+ * @param {number} days - Working days to add (0 returns a copy of the date)
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @returns {Date} New date
+ */
+export function addWorkingDays(date, days, holidayCalendar = null) {
+  const result = new Date(date);
+  let added = 0;
+
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    if (!isTeamNonWorkingDay(result, holidayCalendar)) {
+      added++;
+    }
+  }
+
+  return result;
+}
+
 /**
  * Check if a date is a non-working day for a user
+ * Half days don't count: the user is working for part of the day
  * @param {Object} rotationData - Current rotation data
  * @param {string} userId - User ID
  * @param {Date} date - Date to check
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
  * @returns {boolean} True if it's a non-working day
  */
-export function isNonWorkingDay(rotationData, userId, date) {
+export function isNonWorkingDay(rotationData, userId, date, holidayCalendar = null) {
+  return getDayCoverage(rotationData, userId, date, holidayCalendar) === 0;
+}
+
+/**
+ * Get how much of a date a user is working
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {Date} date - Date to check
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @returns {number} 1 for a full working day, 0.5 for a half day, 0 for a non-working day
+ */
+export function getDayCoverage(rotationData, userId, date, holidayCalendar = null) {
   // Check if it's a weekend (Saturday or Sunday)
   const dayOfWeek = date.getDay();
   if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return true; // Weekend is a non-working day for everyone
+    return 0; // Weekend is a non-working day for everyone
+  }
+
+  // Check for a bank holiday in the user's region
+  const region = rotationData.holidayRegions ? rotationData.holidayRegions[userId] : null;
+  if (getBankHoliday(holidayCalendar, region, date)) {
+    return 0;
   }
 
   if (!rotationData.nonWorkingDays || !rotationData.nonWorkingDays[userId]) {
-    return false;
+    return 1;
   }
 
   // Format date as YYYY-MM-DD for specific date check
   const formattedDate = formatDate(date);
 
-  // Check for the updated structure
-  if (rotationData.nonWorkingDays[userId].specificDates) {
-    // New structure
+  const dayName = getDayOfWeek(date).toLowerCase();
+  const { specificDates, recurringDays, ranges } = rotationData.nonWorkingDays[userId];
 
-    // Check if the specific date is marked as non-working
-    if (rotationData.nonWorkingDays[userId].specificDates.includes(formattedDate)) {
-      return true;
-    }
+  // A date inside a leave block is off for the whole day
+  if (ranges.some(r => r.start <= formattedDate && formattedDate <= r.end)) {
+    return 0;
+  }
 
-    // Check if the day of the week is marked as non-working
-    const dayOfWeek = getDayOfWeek(date).toLowerCase();
-    if (rotationData.nonWorkingDays[userId].recurringDays.includes(dayOfWeek)) {
-      return true;
-    }
+  // Collect the specific date and day of the week entries that apply
+  const entries = [
+    ...specificDates.filter(d => splitDayPart(d).day === formattedDate),
+    ...recurringDays.filter(d => splitDayPart(d).day === dayName)
+  ];
 
-    return false;
-  } else {
-    // Old structure (backward compatibility)
-    return rotationData.nonWorkingDays[userId].includes(formattedDate);
+  // Work out which parts of the day are non-working
+  const partsOff = new Set();
+  for (const entry of entries) {
+    const { part } = splitDayPart(entry);
+    if (part) {
+      partsOff.add(part);
+    } else {
+      DAY_PARTS.forEach(p => partsOff.add(p));
+    }
   }
+
+  return (DAY_PARTS.length - partsOff.size) / DAY_PARTS.length;
 }
 
 /**
@@ -176,32 +355,238 @@ export function isNonWorkingDay(rotationData, userId, date) {
  * @param {string[]} allEngineers - List of all engineers
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @param {number} [minCoverage] - Fraction of the rotation's working time an engineer must cover,
+ *   from 0 to 1 (default: 1, i.e. every working day in full)
  * @returns {string[]} List of available engineers
  */
-export function getAvailableEngineers(rotationData, allEngineers, startDate, endDate) {
-  // Create array of dates to check
+export function getAvailableEngineers(rotationData, allEngineers, startDate, endDate, holidayCalendar = null, minCoverage = 1) {
+  // Create array of dates to check. Weekends and team bank holidays aren't part of
+  // the rotation, so nobody needs to be available on them
   const dates = [];
   const currentDate = new Date(startDate);
 
   while (currentDate <= endDate) {
-    dates.push(new Date(currentDate));
+    if (!isTeamNonWorkingDay(currentDate, holidayCalendar)) {
+      dates.push(new Date(currentDate));
+    }
     currentDate.setDate(currentDate.getDate() + 1);
   }
 
-  // Filter engineers who are available for all dates
+  if (dates.length === 0) {
+    return [...allEngineers];
+  }
+
+  // Filter engineers who cover enough of the rotation
   return allEngineers.filter(engineerId => {
-    // Check if engineer is available for all dates
-    return dates.every(date => !isNonWorkingDay(rotationData, engineerId, date));
+    const covered = dates.reduce(
+      (total, date) => total + getDayCoverage(rotationData, engineerId, date, holidayCalendar),
+      0
+    );
+    // Allow for floating point error when comparing fractions of days
+    return covered / dates.length >= minCoverage - 1e-9;
   });
 }
 
 /**
- * Check if a string is in YYYY-MM-DD format
+ * Check if an entry is something addNonWorkingDays and removeNonWorkingDays understand
+ * @param {string} entry - Date, date range or day name, optionally with a half-day suffix
+ * @returns {boolean} True if the entry is valid
+ */
+export function isValidNonWorkingDay(entry) {
+  const range = parseDateRange(entry);
+  if (range !== null) {
+    return range !== false;
+  }
+
+  const { day, part } = splitDayPart(entry);
+  return part !== undefined && (isDateFormat(day) || normalizeDay(day) !== null);
+}
+
+/**
+ * Describe a user's non-working days for listing
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @returns {string[]} One line per type of non-working day, empty if there are none
+ */
+export function describeNonWorkingDays(rotationData, userId) {
+  if (!rotationData.nonWorkingDays || !rotationData.nonWorkingDays[userId]) {
+    return [];
+  }
+
+  const config = rotationData.nonWorkingDays[userId];
+  const formatEntry = entry => {
+    const { day, part } = splitDayPart(entry);
+    const name = isDateFormat(day) ? day : day.charAt(0).toUpperCase() + day.slice(1);
+    return part ? `${name} (${part})` : name;
+  };
+
+  const lines = [];
+
+  if (config.recurringDays && config.recurringDays.length > 0) {
+    lines.push(`Every: ${config.recurringDays.map(formatEntry).join(', ')}`);
+  }
+
+  if (config.specificDates && config.specificDates.length > 0) {
+    lines.push(`Dates: ${config.specificDates.map(formatEntry).join(', ')}`);
+  }
+
+  for (const range of config.ranges || []) {
+    const dates = range.start === range.end ? range.start : `${range.start} to ${range.end}`;
+    lines.push(`Leave: ${dates}${range.label ? ` (${range.label})` : ''}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Parse a date range entry
+ * @param {string} entry - Entry such as "2026-08-03..2026-08-14"
+ * @returns {Object|null|false} { start, end }, null if the entry isn't a range, or false if the range is invalid
+ */
+function parseDateRange(entry) {
+  if (!entry.includes('..')) {
+    return null;
+  }
+
+  const [start, end] = entry.split('..').map(d => d.trim());
+  if (!isDateFormat(start) || !isDateFormat(end) || start > end) {
+    return false;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Add a leave block to a list of ranges
+ * @param {Object[]} ranges - Existing ranges
+ * @param {string} start - First date (YYYY-MM-DD)
+ * @param {string} end - Last date (YYYY-MM-DD)
+ * @param {string|null} label - Optional label
+ * @returns {Object[]} Updated ranges, sorted by start date
+ */
+function addRange(ranges, start, end, label) {
+  // Adding the same block again just updates its label
+  const others = ranges.filter(r => r.start !== start || r.end !== end);
+  const range = label ? { start, end, label } : { start, end };
+
+  return [...others, range].sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+}
+
+/**
+ * Cut a span of dates out of a list of ranges, splitting any ranges that only partly overlap it
+ * @param {Object[]} ranges - Existing ranges
+ * @param {string} start - First date to remove (YYYY-MM-DD)
+ * @param {string} end - Last date to remove (YYYY-MM-DD)
+ * @returns {Object[]} Updated ranges
+ */
+function removeRange(ranges, start, end) {
+  const remaining = [];
+
+  for (const range of ranges) {
+    if (range.end < start || range.start > end) {
+      remaining.push(range);
+      continue;
+    }
+
+    if (range.start < start) {
+      remaining.push({ ...range, end: addDays(start, -1) });
+    }
+    if (range.end > end) {
+      remaining.push({ ...range, start: addDays(end, 1) });
+    }
+  }
+
+  return remaining;
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return formatDate(result);
+}
+
+/**
+ * Split a non-working day entry into the day and the part of the day
+ * @param {string} entry - Entry such as "2026-03-04", "2026-03-04:am" or "Wednesday:PM"
+ * @returns {Object} { day, part } where part is null for a whole day, or undefined if the suffix is invalid
+ */
+function splitDayPart(entry) {
+  const [day, suffix] = entry.trim().split(':');
+
+  if (suffix === undefined) {
+    return { day, part: null };
+  }
+
+  const part = suffix.toLowerCase();
+  return { day, part: DAY_PARTS.includes(part) ? part : undefined };
+}
+
+/**
+ * Add a whole or half day to a list of non-working day entries
+ * @param {string[]} entries - Existing entries
+ * @param {string} day - Date (YYYY-MM-DD) or normalized day name
+ * @param {string|null} part - Part of the day, or null for the whole day
+ * @returns {string[]} Updated entries
+ */
+function addDayEntry(entries, day, part) {
+  // Already off for the whole day
+  if (entries.includes(day)) {
+    return entries;
+  }
+
+  if (part) {
+    const entry = `${day}:${part}`;
+    return entries.includes(entry) ? entries : [...entries, entry];
+  }
+
+  // A whole day replaces any half days
+  return [...entries.filter(e => splitDayPart(e).day !== day), day];
+}
+
+/**
+ * Remove a whole or half day from a list of non-working day entries
+ * @param {string[]} entries - Existing entries
+ * @param {string} day - Date (YYYY-MM-DD) or normalized day name
+ * @param {string|null} part - Part of the day, or null for the whole day
+ * @returns {string[]} Updated entries
+ */
+function removeDayEntry(entries, day, part) {
+  if (!part) {
+    return entries.filter(e => splitDayPart(e).day !== day);
+  }
+
+  const remaining = entries.filter(e => e !== `${day}:${part}`);
+
+  // Removing half of a whole day leaves the other half
+  if (remaining.includes(day)) {
+    return [
+      ...remaining.filter(e => e !== day),
+      ...DAY_PARTS.filter(p => p !== part).map(p => `${day}:${p}`)
+    ];
+  }
+
+  return remaining;
+}
+
+/**
+ * Check if a string is a real date in YYYY-MM-DD format
  * @param {string} str - String to check
  * @returns {boolean} True if it's a date format
  */
 function isDateFormat(str) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(str);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return false;
+  }
+  // Rejects dates such as 2025-02-30, which Date would roll over into March
+  const date = new Date(`${str}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(str);
 }
 
 /**
@@ -235,7 +620,7 @@ function normalizeDay(day) {
 }
 
 /**
- * Sort days of the week in chronological order
+ * Sort days of the week in chronological order, with half days after the whole day
  * @param {string} a - First day
  * @param {string} b - Second day
  * @returns {number} Comparison result
@@ -251,7 +636,10 @@ function sortDaysOfWeek(a, b) {
     'saturday': 6
   };
 
-  return order[a] - order[b];
+  const dayA = splitDayPart(a);
+  const dayB = splitDayPart(b);
+
+  return order[dayA.day] - order[dayB.day] || (dayA.part || '').localeCompare(dayB.part || '');
 }
 
 /**
@@ -1,21 +1,58 @@
+import crypto from 'crypto';
+import { isDeepStrictEqual } from 'util';
+import { isTeamNonWorkingDay } from './nonWorkingDays.js';
+
+/**
+ * Supported ways of choosing the next engineers
+ * - round_robin: walk rotationOrder from the last engineer currently on support
+ * - fairness: pick whoever has done the fewest working days on support in the recent history
+ */
+export const SELECTION_MODES = ['round_robin', 'fairness'];
+
+/**
+ * Who can fill a named slot on a shift
+ * - any: anyone available, including new starters (e.g. a secondary or shadow slot)
+ * - signed_off: anyone who isn't a new starter (e.g. the primary slot)
+ * - new_starter: only new starters, for a slot set aside for shadowing
+ */
+export const SLOT_POOLS = ['any', 'signed_off', 'new_starter'];
+
+const SLOT_POOL_DESCRIPTIONS = {
+  any: 'anyone',
+  signed_off: 'signed-off engineers',
+  new_starter: 'new starters'
+};
+
+/**
+ * Skill tags on engineers, such as cas1 or cas2, used by coverage rules
+ */
+export const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Reasons a rotation can end up with nobody assigned
+ */
+export const UNSTAFFED_REASONS = {
+  NO_ENGINEERS: 'no_engineers', // The user group (or rotation order) is empty
+  ALL_OUT_OF_OFFICE: 'all_out_of_office', // Everyone has an out-of-office or illness status
+  ALL_NON_WORKING: 'all_non_working', // Everyone left has non-working days during the rotation
+  TOO_FEW_AVAILABLE: 'too_few_available' // Some engineers are available, but fewer than the minimum needed
+};
+
 /**
  * Get the next engineers for support duty
  * @param {Object} rotationData - Current rotation data
  * @param {string[]} availableEngineers - List of available engineers
  * @param {number} count - Number of engineers to assign
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.mode] - Selection mode, one of SELECTION_MODES (default: 'round_robin')
+ * @param {number} [options.daysPerRotation] - Number of working days each rotation lasts (default: 2)
+ * @param {Object} [options.holidayCalendar] - Holiday calendar, so bank holidays don't count as days on support
  * @returns {string[]} Array of selected engineer IDs
  */
-export function getNextEngineers(rotationData, availableEngineers, count) {
-  // Initialize rotation order if it doesn't exist
-  if (!rotationData.rotationOrder || rotationData.rotationOrder.length === 0) {
-    rotationData.rotationOrder = [...availableEngineers];
-    shuffleArray(rotationData.rotationOrder);
-  }
+export function getNextEngineers(rotationData, availableEngineers, count, options = {}) {
+  const { mode = 'round_robin', daysPerRotation = 2, holidayCalendar = null } = options;
 
-  // Filter out engineers who should be skipped
-  const eligibleEngineers = rotationData.rotationOrder.filter(id =>
-    !rotationData.skipList.includes(id) && availableEngineers.includes(id)
-  );
+  const eligibleEngineers = getEligibleEngineers(rotationData, availableEngineers, mode);
 
   // Safety check: If there are no eligible engineers at all,
   // we need to use whoever is available, even if they're in the skip list
@@ -31,6 +68,10 @@ export function getNextEngineers(rotationData, availableEngineers, count) {
     return eligibleEngineers;
   }
 
+  if (mode === 'fairness') {
+    return selectByFairness(rotationData, eligibleEngineers, count, daysPerRotation, holidayCalendar);
+  }
+
   // Select the next engineers in the rotation
   const selectedEngineers = [];
   let index = 0;
@@ -72,15 +113,531 @@ export function getNextEngineers(rotationData, availableEngineers, count) {
   return selectedEngineers;
 }
 
+/**
+ * Get the available engineers who can be picked, in rotation order
+ * Checks the selection mode, and starts a shuffled rotation order if there isn't one yet.
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} availableEngineers - List of available engineers
+ * @param {string} mode - Selection mode, one of SELECTION_MODES
+ * @returns {string[]} Available engineers in the rotation order who aren't on the skip list
+ */
+function getEligibleEngineers(rotationData, availableEngineers, mode) {
+  if (!SELECTION_MODES.includes(mode)) {
+    throw new Error(`Unknown selection mode: ${mode}. Expected one of: ${SELECTION_MODES.join(', ')}`);
+  }
+
+  // Initialize rotation order if it doesn't exist
+  if (!rotationData.rotationOrder || rotationData.rotationOrder.length === 0) {
+    rotationData.rotationOrder = [...availableEngineers];
+    shuffleArray(rotationData.rotationOrder);
+  }
+
+  // Filter out engineers who should be skipped
+  return rotationData.rotationOrder.filter(id =>
+    !rotationData.skipList.includes(id) && availableEngineers.includes(id)
+  );
+}
+
+/**
+ * Select the engineers who are furthest behind their fair share of support
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} eligibleEngineers - Eligible engineers, in rotation order
+ * @param {number} count - Number of engineers to assign
+ * @param {number} daysPerRotation - Number of working days each rotation lasts
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {string[]} Array of selected engineer IDs
+ */
+function selectByFairness(rotationData, eligibleEngineers, count, daysPerRotation, holidayCalendar) {
+  const { ranked, fairShare } = rankByFairness(rotationData, eligibleEngineers, daysPerRotation, holidayCalendar);
+
+  const selected = ranked.slice(0, count);
+  console.log(`Fairness selection (fair share ${fairShare.toFixed(1)} working days): ` +
+    selected.map(e => `${e.id} (${e.shifts} shifts, ${e.deficit.toFixed(1)} days behind)`).join(', '));
+
+  return selected.map(e => e.id);
+}
+
+/**
+ * Rank engineers by how far behind their fair share of support they are
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} eligibleEngineers - Eligible engineers, in rotation order
+ * @param {number} daysPerRotation - Number of working days each rotation lasts
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {Object} { ranked: [{ id, deficit, shifts, lastServed }], fairShare }, furthest behind first
+ */
+function rankByFairness(rotationData, eligibleEngineers, daysPerRotation, holidayCalendar) {
+  const load = getSupportLoad(rotationData.history || [], daysPerRotation, holidayCalendar);
+
+  // Each eligible engineer's fair share of the working days covered so far
+  const totalDays = eligibleEngineers.reduce((total, id) => total + (load[id]?.workingDays || 0), 0);
+  const fairShare = totalDays / eligibleEngineers.length;
+
+  const ranked = eligibleEngineers.map((id, order) => ({
+    id,
+    order,
+    deficit: fairShare - (load[id]?.workingDays || 0),
+    shifts: load[id]?.shifts || 0,
+    lastServed: load[id]?.lastServed || ''
+  }));
+
+  // Furthest behind first, then fewest shifts, then longest since last shift, then rotation order
+  ranked.sort((a, b) =>
+    b.deficit - a.deficit ||
+    a.shifts - b.shifts ||
+    a.lastServed.localeCompare(b.lastServed) ||
+    a.order - b.order
+  );
+
+  return { ranked, fairShare };
+}
+
+/**
+ * Fill a shift's named slots, such as primary and secondary, each from its own pool of engineers
+ * Engineers are considered in the same order as getNextEngineers would pick them, and the most
+ * restrictive slots are filled first so a new starter never takes the only place a signed-off engineer could.
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} availableEngineers - List of available engineers
+ * @param {Object[]} slots - Slots to fill, in the order they're shown: [{ name, pool }], pool being one of SLOT_POOLS
+ * @param {Object} [options] - Selection options, as for getNextEngineers
+ * @returns {Object[]} Filled slots, in the order given: [{ name, engineer }]. Slots nobody could fill are left out.
+ */
+export function assignSlots(rotationData, availableEngineers, slots, options = {}) {
+  const lastEntry = rotationData.history && rotationData.history[rotationData.history.length - 1];
+  const lastSlots = lastEntry && !lastEntry.unstaffed && lastEntry.slots ? lastEntry.slots : [];
+  const restrictive = slot => (slot.pool || 'any') === 'any' ? 1 : 0;
+  const fillOrder = slots.map((slot, index) => ({ slot, index })).sort((a, b) => restrictive(a.slot) - restrictive(b.slot));
+
+  const filled = [];
+  const used = new Set();
+
+  for (const { slot, index } of fillOrder) {
+    // Round robin carries on from whoever held this slot last, so each slot has its own turn order
+    const lastHolder = lastSlots.find(held => held.name === slot.name);
+    const ranked = rankEngineers(rotationData, availableEngineers, options, lastHolder ? lastHolder.engineer : undefined);
+    // Don't put anyone straight back on support in another slot if someone else can take it
+    const candidates = [
+      ...ranked.filter(id => !rotationData.currentEngineers.includes(id)),
+      ...ranked.filter(id => rotationData.currentEngineers.includes(id))
+    ];
+    const engineer = candidates.find(id => !used.has(id) && isEligibleForSlot(rotationData, id, slot));
+
+    if (!engineer) {
+      console.warn(`Nobody available can fill the ${slot.name} slot (${slot.pool || 'any'}).`);
+      continue;
+    }
+
+    used.add(engineer);
+    filled[index] = { name: slot.name, engineer };
+  }
+
+  return filled.filter(Boolean);
+}
+
+/**
+ * Check whether an engineer can fill a slot
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {Object} slot - Slot: { name, pool }
+ * @returns {boolean} True if they're in the slot's pool
+ */
+export function isEligibleForSlot(rotationData, userId, slot) {
+  const isNewStarter = rotationData.newStarters.includes(userId);
+
+  switch (slot.pool || 'any') {
+    case 'signed_off':
+      return !isNewStarter;
+    case 'new_starter':
+      return isNewStarter;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Pick the engineers for a shift: fill its slots (or take the next engineers), make sure it meets the
+ * rota's coverage rules, then apply the pairing rules
+ * Engineers swapped on for a rule also swap places in rotationOrder, so select on a copy of the data.
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} availableEngineers - List of available engineers
+ * @param {Object} shift - What the shift needs
+ * @param {number} shift.count - Number of engineers, for a rota without slots
+ * @param {Object[]} [shift.slots] - Named slots to fill instead, as for assignSlots
+ * @param {string[][]} [shift.coverageRules] - Coverage rules: each is a list of tags, one of which someone on the shift must have
+ * @param {number} [shift.avoidRepeatPairs] - Don't pair engineers who were together in this many recent rotations (default: 0, off)
+ * @param {number|null} [shift.experiencedPartnerShifts] - Give each new starter a signed-off partner with at least
+ *   this many recent shifts (default: null, off)
+ * @param {Object} [options] - Selection options, as for getNextEngineers
+ * @returns {Object} { engineers, slots, uncovered, notes, warnings }: slots is null for a rota without slots,
+ *   uncovered lists the coverage rules that couldn't be met, notes say which rules changed the picks and
+ *   warnings say which rules couldn't be met
+ */
+export function selectShift(rotationData, availableEngineers, shift, options = {}) {
+  const { count, slots = null, coverageRules = null, avoidRepeatPairs = 0, experiencedPartnerShifts = null } = shift;
+
+  let places = slots
+    ? assignSlots(rotationData, availableEngineers, slots, options).map(filled => ({
+      slot: slots.find(slot => slot.name === filled.name),
+      engineer: filled.engineer
+    }))
+    : getNextEngineers(rotationData, availableEngineers, count, options).map(engineer => ({ slot: null, engineer }));
+
+  const ranked = rankEngineers(rotationData, availableEngineers, options);
+  const rules = coverageRules || [];
+  const coveredCount = shiftPlaces => rules.filter(rule => shiftPlaces.some(place => hasAnyTag(rotationData, place.engineer, rule))).length;
+
+  const uncovered = [];
+  const notes = [];
+  const warnings = [];
+
+  for (const rule of rules) {
+    if (places.some(place => hasAnyTag(rotationData, place.engineer, rule))) {
+      continue;
+    }
+
+    const tags = rule.join(' or ');
+    const taken = places.map(place => place.engineer);
+    const tagged = ranked.filter(id => !taken.includes(id) && hasAnyTag(rotationData, id, rule));
+
+    if (tagged.length === 0) {
+      uncovered.push(rule);
+      warnings.push(`Nobody available is tagged ${tags}, so the shift has no ${tags} cover.`);
+      continue;
+    }
+
+    // Only swap if it covers more of the rules than before, so it never loses another rule's cover
+    const before = coveredCount(places);
+    const swap = swapIntoShift(rotationData, places, tagged, candidate => coveredCount(candidate) > before);
+    if (!swap) {
+      uncovered.push(rule);
+      warnings.push(`Couldn't put someone tagged ${tags} on the shift without breaking another coverage rule or slot, so it has no ${tags} cover.`);
+      continue;
+    }
+
+    places = swap.places;
+    notes.push(`<@${swap.added}> was picked instead of <@${swap.removed}> for ${tags} cover.`);
+  }
+
+  // Pairing rules, most important first. A swap for one rule never breaks an earlier one or loses coverage.
+  const pairingRules = getPairingRules(rotationData, { avoidRepeatPairs, experiencedPartnerShifts, ...options });
+  const coverage = coveredCount(places);
+
+  pairingRules.forEach((rule, ruleIndex) => {
+    const earlierRules = pairingRules.slice(0, ruleIndex);
+
+    while (rule.violations(places) > 0) {
+      const taken = places.map(place => place.engineer);
+      const violations = rule.violations(places);
+      const earlierViolations = earlierRules.map(earlier => earlier.violations(places));
+
+      const swap = swapIntoShift(rotationData, places, ranked.filter(id => !taken.includes(id)), candidate =>
+        rule.violations(candidate) < violations &&
+        earlierRules.every((earlier, index) => earlier.violations(candidate) <= earlierViolations[index]) &&
+        coveredCount(candidate) >= coverage
+      );
+
+      if (!swap) {
+        warnings.push(`Couldn't ${rule.description} with the engineers available.`);
+        break;
+      }
+
+      places = swap.places;
+      notes.push(`<@${swap.added}> was picked instead of <@${swap.removed}> to ${rule.description}.`);
+    }
+  });
+
+  return {
+    engineers: places.map(place => place.engineer),
+    slots: slots ? places.map(place => ({ name: place.slot.name, engineer: place.engineer })) : null,
+    uncovered,
+    notes,
+    warnings
+  };
+}
+
+/**
+ * Check whether an engineer has any of the given tags
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {string[]} tags - Tags to look for
+ * @returns {boolean} True if they have at least one
+ */
+export function hasAnyTag(rotationData, userId, tags) {
+  const engineerTags = (rotationData.tags && rotationData.tags[userId]) || [];
+  return engineerTags.some(tag => tags.includes(tag));
+}
+
+/**
+ * Build the pairing rules that apply to a rota, most important first
+ * Each rule counts how badly a shift breaks it, so a swap can be checked to make things better.
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} settings - Pairing settings and selection options
+ * @param {number} settings.avoidRepeatPairs - Recent rotations a pair shouldn't be repeated within (0 for off)
+ * @param {number|null} settings.experiencedPartnerShifts - Recent shifts a new starter's partner needs (null for off)
+ * @returns {Object[]} Rules: [{ description, violations(places) }]
+ */
+function getPairingRules(rotationData, { avoidRepeatPairs, experiencedPartnerShifts, daysPerRotation = 2, holidayCalendar = null }) {
+  const isNewStarter = id => rotationData.newStarters.includes(id);
+  const rules = [
+    {
+      description: 'avoid pairing two new starters',
+      violations: places => Math.max(0, places.filter(place => isNewStarter(place.engineer)).length - 1)
+    }
+  ];
+
+  if (experiencedPartnerShifts !== null && experiencedPartnerShifts !== undefined) {
+    const load = getSupportLoad(rotationData.history || [], daysPerRotation, holidayCalendar);
+    const isExperienced = id => !isNewStarter(id) && (load[id] ? load[id].shifts : 0) >= experiencedPartnerShifts;
+
+    rules.push({
+      description: 'pair each new starter with an experienced engineer',
+      violations: places => places.some(place => isNewStarter(place.engineer)) &&
+        !places.some(place => isExperienced(place.engineer)) ? 1 : 0
+    });
+  }
+
+  if (avoidRepeatPairs > 0) {
+    const recentPairs = new Set();
+    const recent = (rotationData.history || []).filter(entry => !entry.unstaffed && entry.engineers).slice(-avoidRepeatPairs);
+    for (const entry of recent) {
+      for (const pair of getPairs(entry.engineers)) {
+        recentPairs.add(pair);
+      }
+    }
+
+    rules.push({
+      description: `avoid repeating a pair from the last ${avoidRepeatPairs} rotation(s)`,
+      violations: places => getPairs(places.map(place => place.engineer)).filter(pair => recentPairs.has(pair)).length
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * List every pair of engineers on a shift, each as a key that doesn't depend on their order
+ * @param {string[]} engineers - Engineer IDs
+ * @returns {string[]} Pair keys, e.g. "U1+U2"
+ */
+function getPairs(engineers) {
+  const pairs = [];
+  for (let i = 0; i < engineers.length; i++) {
+    for (let j = i + 1; j < engineers.length; j++) {
+      pairs.push([engineers[i], engineers[j]].sort().join('+'));
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Swap an engineer onto the shift in place of someone already picked
+ * The rotation data's rotationOrder is updated, so pass the copy being selected with.
+ * Candidates are tried first pick first, and the last picks are replaced first, so the engineers
+ * most due a shift keep their places. The two engineers also swap places in the rotation order, so the
+ * one taken off the shift has the newcomer's turn instead and nobody does two shifts in a row.
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object[]} places - The shift so far: [{ slot, engineer }]
+ * @param {string[]} candidates - Engineers who could be swapped on, first pick first
+ * @param {Function} accept - Called with the shift after a possible swap; true to make it
+ * @returns {Object|null} { places, added, removed }, or null if no swap works
+ */
+function swapIntoShift(rotationData, places, candidates, accept) {
+  for (const engineer of candidates) {
+    for (let index = places.length - 1; index >= 0; index--) {
+      const { slot } = places[index];
+      if (slot && !isEligibleForSlot(rotationData, engineer, slot)) {
+        continue;
+      }
+
+      const shift = places.map((place, i) => i === index ? { slot, engineer } : place);
+      if (accept(shift)) {
+        const removed = places[index].engineer;
+        const order = rotationData.rotationOrder;
+        const [addedAt, removedAt] = [order.indexOf(engineer), order.indexOf(removed)];
+        if (addedAt !== -1 && removedAt !== -1) {
+          [order[addedAt], order[removedAt]] = [removed, engineer];
+        }
+        return { places: shift, added: engineer, removed };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add skill tags to an engineer
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {string[]} tags - Tags to add
+ * @returns {Object} Updated rotation data
+ */
+export function addTags(rotationData, userId, tags) {
+  const current = rotationData.tags[userId] || [];
+  rotationData.tags[userId] = [...current, ...tags.filter(tag => !current.includes(tag))];
+  return rotationData;
+}
+
+/**
+ * Remove skill tags from an engineer
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {string[]} tags - Tags to remove
+ * @returns {Object} Updated rotation data
+ */
+export function removeTags(rotationData, userId, tags) {
+  const remaining = (rotationData.tags[userId] || []).filter(tag => !tags.includes(tag));
+
+  if (remaining.length > 0) {
+    rotationData.tags[userId] = remaining;
+  } else {
+    delete rotationData.tags[userId];
+  }
+
+  return rotationData;
+}
+
+/**
+ * Mark an engineer as a new starter, or sign them off so they can fill any slot
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {boolean} isNewStarter - True to mark them as a new starter, false to sign them off
+ * @returns {Object} Updated rotation data
+ */
+export function setNewStarter(rotationData, userId, isNewStarter) {
+  rotationData.newStarters = rotationData.newStarters.filter(id => id !== userId);
+
+  if (isNewStarter) {
+    rotationData.newStarters.push(userId);
+  }
+
+  return rotationData;
+}
+
+/**
+ * Turn the bot's direct messages to an engineer on or off
+ * Only opting out is stored; everyone gets direct messages unless they've said otherwise.
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {boolean} enabled - True to send them direct messages, false to stop
+ * @returns {Object} Updated rotation data
+ */
+export function setDirectMessages(rotationData, userId, enabled) {
+  if (enabled) {
+    delete rotationData.notificationPreferences[userId];
+  } else {
+    rotationData.notificationPreferences[userId] = { directMessages: false };
+  }
+
+  return rotationData;
+}
+
+/**
+ * Check whether an engineer wants the bot's direct messages
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @returns {boolean} True unless they've opted out
+ */
+export function wantsDirectMessages(rotationData, userId) {
+  const preferences = (rotationData.notificationPreferences || {})[userId];
+  return !preferences || preferences.directMessages !== false;
+}
+
+/**
+ * Put every available engineer in the order they'd be picked for the next shift
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} availableEngineers - List of available engineers
+ * @param {Object} options - Selection options, as for getNextEngineers
+ * @param {string} [lastEngineer] - Engineer to carry on after in round robin (default: the last current engineer)
+ * @returns {string[]} Engineer IDs, first pick first
+ */
+function rankEngineers(rotationData, availableEngineers, options, lastEngineer = rotationData.currentEngineers[rotationData.currentEngineers.length - 1]) {
+  const { mode = 'round_robin', daysPerRotation = 2, holidayCalendar = null } = options;
+
+  const eligibleEngineers = getEligibleEngineers(rotationData, availableEngineers, mode);
+
+  let ranked;
+  if (mode === 'fairness' && eligibleEngineers.length > 0) {
+    ranked = rankByFairness(rotationData, eligibleEngineers, daysPerRotation, holidayCalendar).ranked.map(e => e.id);
+  } else {
+    // Start from after the last engineer in the current rotation
+    let index = 0;
+    if (eligibleEngineers.includes(lastEngineer)) {
+      index = (eligibleEngineers.indexOf(lastEngineer) + 1) % eligibleEngineers.length;
+    }
+    ranked = [...eligibleEngineers.slice(index), ...eligibleEngineers.slice(0, index)];
+  }
+
+  // Skipped engineers, and anyone not in the rotation order yet, only if nobody else can
+  return [...ranked, ...availableEngineers.filter(id => !ranked.includes(id))];
+}
+
+/**
+ * Count how many shifts and working days each engineer has spent on support
+ * @param {Object[]} history - Rotation history entries, oldest first
+ * @param {number} daysPerRotation - Number of working days each rotation lasts
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @returns {Object} Map of user IDs to { shifts, workingDays, lastServed }
+ */
+export function getSupportLoad(history, daysPerRotation = 2, holidayCalendar = null) {
+  const load = {};
+
+  history.forEach((entry, index) => {
+    if (entry.unstaffed || !entry.engineers || entry.engineers.length === 0) {
+      return;
+    }
+
+    // A shift lasts until the next rotation; the latest one is assumed to run its full length.
+    // Unstaffed attempts don't end a shift, so skip over them
+    const nextEntry = history.slice(index + 1).find(e => !e.unstaffed);
+    const workingDays = nextEntry
+      ? countWorkingDays(new Date(entry.date), new Date(nextEntry.date), holidayCalendar)
+      : daysPerRotation;
+
+    for (const id of entry.engineers) {
+      if (!load[id]) {
+        load[id] = { shifts: 0, workingDays: 0, lastServed: null };
+      }
+      load[id].shifts++;
+      load[id].workingDays += workingDays;
+      load[id].lastServed = entry.date;
+    }
+  });
+
+  return load;
+}
+
+/**
+ * Count the team working days from a start date (inclusive) to an end date (exclusive)
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {number} Number of working days
+ */
+function countWorkingDays(startDate, endDate, holidayCalendar) {
+  let count = 0;
+  const currentDate = new Date(startDate);
+
+  while (currentDate < endDate) {
+    if (!isTeamNonWorkingDay(currentDate, holidayCalendar)) {
+      count++;
+    }
+    currentDate.setDate(currentDate.getDate() + 1);
+  }
+
+  return count;
+}
+
 /**
  * Update the rotation data after assigning new engineers
  * @param {Object} rotationData - Current rotation data
  * @param {string[]} newEngineers - Newly assigned engineers
+ * @param {Date} [date] - When the rotation starts (default: now)
+ * @param {Object[]} [slots] - Which slot each engineer holds, from assignSlots
  * @returns {Object} Updated rotation data
  */
-export function updateRotation(rotationData, newEngineers) {
+export function updateRotation(rotationData, newEngineers, date = new Date(), slots = null) {
   // Update the last rotation date
-  rotationData.lastRotationDate = new Date().toISOString();
+  rotationData.lastRotationDate = date.toISOString();
 
   // Update current engineers
   rotationData.currentEngineers = [...newEngineers];
@@ -92,7 +649,8 @@ export function updateRotation(rotationData, newEngineers) {
 
   rotationData.history.push({
     date: rotationData.lastRotationDate,
-    engineers: newEngineers
+    engineers: newEngineers,
+    ...(slots ? { slots: slots.map(slot => ({ ...slot })) } : {})
   });
 
   // Limit history size
@@ -103,14 +661,233 @@ export function updateRotation(rotationData, newEngineers) {
   // Clear skip list for engineers who've served
   rotationData.skipList = rotationData.skipList.filter(id => !newEngineers.includes(id));
 
+  // Swaps only apply to the shift they were proposed for
+  rotationData.pendingSwaps = [];
+
+  return rotationData;
+}
+
+/**
+ * Get the history entry for the shift on support now
+ * Unstaffed attempts are skipped, since the last engineers stay on support until someone new is assigned.
+ * @param {Object} rotationData - Current rotation data
+ * @returns {Object|null} History entry, or null if nobody has been on support yet
+ */
+export function getCurrentShift(rotationData) {
+  return [...(rotationData.history || [])].reverse().find(entry => !entry.unstaffed) || null;
+}
+
+/**
+ * Propose swapping an engineer on support with a colleague
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} requesterId - Engineer currently on support who wants to swap out
+ * @param {string} targetId - Colleague who would take over
+ * @param {Object[]} [slots] - The rota's slots, so the colleague can only take a slot they're eligible for
+ * @returns {Object} The pending swap: { id, requester, target, requestedAt }
+ */
+export function proposeSwap(rotationData, requesterId, targetId, slots = null) {
+  if (!rotationData.currentEngineers.includes(requesterId)) {
+    throw new Error('Only engineers currently on support can ask to swap.');
+  }
+
+  if (requesterId === targetId) {
+    throw new Error("You can't swap with yourself.");
+  }
+
+  if (rotationData.currentEngineers.includes(targetId)) {
+    throw new Error(`<@${targetId}> is already on support.`);
+  }
+
+  // A new starter can't swap into a slot for signed-off engineers
+  const entry = [...rotationData.history].reverse().find(e => !e.unstaffed && e.engineers.includes(requesterId));
+  const heldSlot = entry && entry.slots ? entry.slots.find(slot => slot.engineer === requesterId) : null;
+  const slot = heldSlot && slots ? slots.find(s => s.name === heldSlot.name) : null;
+  if (slot && !isEligibleForSlot(rotationData, targetId, slot)) {
+    throw new Error(`<@${targetId}> can't take over the ${slot.name} slot, which is for ${SLOT_POOL_DESCRIPTIONS[slot.pool]}.`);
+  }
+
+  if (!rotationData.pendingSwaps) {
+    rotationData.pendingSwaps = [];
+  }
+
+  // A new request replaces any earlier one from the same engineer
+  rotationData.pendingSwaps = rotationData.pendingSwaps.filter(s => s.requester !== requesterId);
+
+  const swap = {
+    id: crypto.randomUUID(),
+    requester: requesterId,
+    target: targetId,
+    requestedAt: new Date().toISOString()
+  };
+  rotationData.pendingSwaps.push(swap);
+
+  return swap;
+}
+
+/**
+ * Accept a pending swap, putting the colleague on support in place of the requester
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} swapId - ID of the pending swap
+ * @param {string} userId - User accepting, who must be the colleague asked
+ * @returns {Object} The completed swap: { id, requester, target, requestedAt, acceptedAt }
+ */
+export function acceptSwap(rotationData, swapId, userId) {
+  const swap = findPendingSwap(rotationData, swapId);
+
+  if (swap.target !== userId) {
+    throw new Error(`Only <@${swap.target}> can accept this swap.`);
+  }
+
+  rotationData.pendingSwaps = rotationData.pendingSwaps.filter(s => s.id !== swapId);
+
+  if (!rotationData.currentEngineers.includes(swap.requester)) {
+    throw new Error(`<@${swap.requester}> is no longer on support, so there's nothing to swap.`);
+  }
+
+  if (rotationData.currentEngineers.includes(swap.target)) {
+    throw new Error(`<@${swap.target}> is already on support.`);
+  }
+
+  const completedSwap = { ...swap, acceptedAt: new Date().toISOString() };
+  const replace = engineers => engineers.map(id => id === swap.requester ? swap.target : id);
+
+  rotationData.currentEngineers = replace(rotationData.currentEngineers);
+
+  // Update the current shift in the history and record who swapped with whom
+  const entry = [...(rotationData.history || [])].reverse().find(e => !e.unstaffed && e.engineers.includes(swap.requester));
+  if (entry) {
+    entry.engineers = replace(entry.engineers);
+    // The colleague takes over the requester's slot
+    if (entry.slots) {
+      entry.slots = entry.slots.map(slot => slot.engineer === swap.requester ? { ...slot, engineer: swap.target } : slot);
+    }
+    entry.swaps = [...(entry.swaps || []), {
+      from: swap.requester,
+      to: swap.target,
+      date: completedSwap.acceptedAt
+    }];
+  }
+
+  return completedSwap;
+}
+
+/**
+ * Decline or cancel a pending swap
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} swapId - ID of the pending swap
+ * @param {string} userId - User declining, who must be the colleague asked or the requester
+ * @returns {Object} The declined swap
+ */
+export function declineSwap(rotationData, swapId, userId) {
+  const swap = findPendingSwap(rotationData, swapId);
+
+  if (swap.target !== userId && swap.requester !== userId) {
+    throw new Error(`Only <@${swap.target}> or <@${swap.requester}> can decline this swap.`);
+  }
+
+  rotationData.pendingSwaps = rotationData.pendingSwaps.filter(s => s.id !== swapId);
+  return swap;
+}
+
+/**
+ * Find a pending swap by ID
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} swapId - ID of the pending swap
+ * @returns {Object} The pending swap
+ */
+function findPendingSwap(rotationData, swapId) {
+  const swap = (rotationData.pendingSwaps || []).find(s => s.id === swapId);
+
+  if (!swap) {
+    throw new Error('This swap has expired or has already been answered.');
+  }
+
+  return swap;
+}
+
+/**
+ * Work out why a rotation can't be staffed, if it can't
+ * @param {Object} counts - Engineer lists at each stage of filtering
+ * @param {string[]} counts.engineers - All engineers in the user group
+ * @param {string[]} counts.statusFilteredEngineers - Engineers left after the out-of-office filter
+ * @param {string[]} counts.availableEngineers - Engineers left after the non-working days filter
+ * @param {number} minimumEngineers - Minimum number of engineers needed to staff a rotation
+ * @returns {string|null} One of UNSTAFFED_REASONS, or null if the rotation can be staffed
+ */
+export function getUnstaffedReason({ engineers, statusFilteredEngineers, availableEngineers }, minimumEngineers = 1) {
+  if (engineers.length === 0) {
+    return UNSTAFFED_REASONS.NO_ENGINEERS;
+  }
+
+  if (statusFilteredEngineers.length === 0) {
+    return UNSTAFFED_REASONS.ALL_OUT_OF_OFFICE;
+  }
+
+  if (availableEngineers.length === 0) {
+    return UNSTAFFED_REASONS.ALL_NON_WORKING;
+  }
+
+  if (availableEngineers.length < minimumEngineers) {
+    return UNSTAFFED_REASONS.TOO_FEW_AVAILABLE;
+  }
+
+  return null;
+}
+
+/**
+ * Record a rotation that couldn't be staffed.
+ * This doesn't count as a completed rotation: the last rotation date and current engineers
+ * are left alone so the next run tries again. Repeated attempts update the same history entry,
+ * which stays escalated until the reason or the counts change.
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} reason - One of UNSTAFFED_REASONS
+ * @param {Object} [details] - Extra context to keep with the history entry (e.g. counts)
+ * @returns {Object} Updated rotation data
+ */
+export function recordUnstaffedRotation(rotationData, reason, details = {}) {
+  if (!rotationData.history) {
+    rotationData.history = [];
+  }
+
+  const now = new Date().toISOString();
+  const lastEntry = rotationData.history[rotationData.history.length - 1];
+
+  if (lastEntry && lastEntry.unstaffed) {
+    // Still unstaffed since the last attempt; escalate again only if something has changed
+    if (lastEntry.reason !== reason || !isDeepStrictEqual(lastEntry.details, details)) {
+      lastEntry.escalated = false;
+    }
+    lastEntry.reason = reason;
+    lastEntry.details = details;
+    lastEntry.attempts = (lastEntry.attempts || 1) + 1;
+    lastEntry.lastAttempt = now;
+    return rotationData;
+  }
+
+  rotationData.history.push({
+    date: now,
+    engineers: [],
+    unstaffed: true,
+    reason,
+    details,
+    attempts: 1,
+    lastAttempt: now,
+    escalated: false
+  });
+
+  // Limit history size
+  if (rotationData.history.length > 30) {
+    rotationData.history = rotationData.history.slice(-30);
+  }
+
   return rotationData;
 }
 
 /**
- * Helper function to shuffle an array in-place using Fisher-Yates algorithm
+ * Shuffle an array in-place using the Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
  */
-function shuffleArray(array) {
+export function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
@@ -0,0 +1,154 @@
+import { selectShift, updateRotation, getUnstaffedReason } from './rotation.js';
+import { getAvailableEngineers, isTeamNonWorkingDay, addWorkingDays } from './nonWorkingDays.js';
+
+/**
+ * Functions for planning who will be on support over the coming rotations
+ */
+
+/**
+ * Simulate the next rotations to build a planned schedule
+ * The simulation runs on a copy, so the rotation data passed in is not changed.
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} engineers - Engineers to plan with (e.g. the user group, or the rotation order)
+ * @param {Object} options - Planning options
+ * @param {number} options.rotations - Number of rotations to plan
+ * @param {number} options.daysPerRotation - Number of working days each rotation lasts
+ * @param {number} options.engineersPerShift - Number of engineers on support at once
+ * @param {Object[]} [options.slots] - Named slots to fill instead, see assignSlots in rotation.js
+ * @param {string[][]} [options.coverageRules] - Coverage rules, see selectShift in rotation.js
+ * @param {number} [options.avoidRepeatPairs] - Pairing rule, see selectShift in rotation.js
+ * @param {number|null} [options.experiencedPartnerShifts] - Pairing rule, see selectShift in rotation.js
+ * @param {number} [options.minEngineersPerShift] - Fewer than this and a rotation is unstaffed (default: 1)
+ * @param {string} [options.selectionMode] - Selection mode, see SELECTION_MODES in rotation.js
+ * @param {number} [options.minCoverage] - Fraction of a rotation an engineer must cover (default: 1)
+ * @param {Object} [options.holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @param {Date} [options.today] - Date to plan from (default: now)
+ * @returns {Object} Schedule: { generatedAt, rotations: [{ start, end, engineers, slots?, uncovered?, unstaffed?, reason? }] }
+ */
+export function generateSchedule(rotationData, engineers, options) {
+  const {
+    rotations,
+    daysPerRotation,
+    engineersPerShift,
+    slots = null,
+    coverageRules = null,
+    avoidRepeatPairs = 0,
+    experiencedPartnerShifts = null,
+    minEngineersPerShift = 1,
+    selectionMode = 'round_robin',
+    minCoverage = 1,
+    holidayCalendar = null,
+    today = new Date()
+  } = options;
+
+  const simulation = structuredClone(rotationData);
+  const planned = [];
+
+  let start = getNextRotationStart(rotationData.lastRotationDate, daysPerRotation, today, holidayCalendar);
+
+  for (let i = 0; i < rotations; i++) {
+    const end = addWorkingDays(start, daysPerRotation - 1, holidayCalendar);
+    const availableEngineers = getAvailableEngineers(simulation, engineers, start, end, holidayCalendar, minCoverage);
+    const reason = getUnstaffedReason(
+      { engineers, statusFilteredEngineers: engineers, availableEngineers },
+      minEngineersPerShift
+    );
+
+    if (reason) {
+      planned.push({ start: formatDate(start), end: formatDate(end), engineers: [], unstaffed: true, reason });
+    } else {
+      const selectionOptions = { mode: selectionMode, daysPerRotation, holidayCalendar };
+
+      const shift = selectShift(
+        simulation,
+        availableEngineers,
+        { count: engineersPerShift, slots, coverageRules, avoidRepeatPairs, experiencedPartnerShifts },
+        selectionOptions
+      );
+      updateRotation(simulation, shift.engineers, start, shift.slots);
+      planned.push({
+        start: formatDate(start),
+        end: formatDate(end),
+        engineers: shift.engineers,
+        ...(shift.slots ? { slots: shift.slots } : {}),
+        ...(shift.uncovered.length > 0 ? { uncovered: shift.uncovered } : {})
+      });
+    }
+
+    start = addWorkingDays(end, 1, holidayCalendar);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    rotations: planned
+  };
+}
+
+/**
+ * Regenerate the planned schedule and store it in the rotation data
+ * @param {Object} rotationData - Current rotation data
+ * @param {string[]} engineers - Engineers to plan with
+ * @param {Object} options - Planning options, as for generateSchedule
+ * @returns {Object} Updated rotation data
+ */
+export function refreshSchedule(rotationData, engineers, options) {
+  rotationData.schedule = generateSchedule(rotationData, engineers, options);
+  console.log(`Planned the next ${rotationData.schedule.rotations.length} rotations.`);
+  return rotationData;
+}
+
+/**
+ * Build the planning options for generateSchedule from a configuration
+ * @param {Object} config - Configuration from loadConfig (or one rota's from loadRotaConfigs)
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {Object} Planning options, as for generateSchedule
+ */
+export function scheduleOptionsFromConfig(config, holidayCalendar) {
+  return {
+    rotations: config.scheduleRotations,
+    daysPerRotation: config.daysPerRotation,
+    engineersPerShift: config.engineersPerShift,
+    minEngineersPerShift: config.minEngineersPerShift,
+    slots: config.slots,
+    coverageRules: config.coverageRules,
+    avoidRepeatPairs: config.avoidRepeatPairs,
+    experiencedPartnerShifts: config.experiencedPartnerShifts,
+    selectionMode: config.selectionMode,
+    minCoverage: config.minCoverage,
+    holidayCalendar
+  };
+}
+
+/**
+ * Work out when the next rotation starts
+ * @param {string|null} lastRotationDate - When the current rotation started (ISO string)
+ * @param {number} daysPerRotation - Number of working days each rotation lasts
+ * @param {Date} today - Today's date
+ * @param {Object|null} holidayCalendar - Holiday calendar from loadHolidayCalendar
+ * @returns {Date} Start of the next rotation, no earlier than today's next working day
+ */
+function getNextRotationStart(lastRotationDate, daysPerRotation, today, holidayCalendar) {
+  const earliest = isTeamNonWorkingDay(today, holidayCalendar) ? addWorkingDays(today, 1, holidayCalendar) : new Date(today);
+
+  if (!lastRotationDate) {
+    return earliest;
+  }
+
+  const nextStart = addWorkingDays(new Date(lastRotationDate), daysPerRotation, holidayCalendar);
+
+  // A rotation that's already due starts today; otherwise today is still part of the current one
+  if (formatDate(nextStart) <= formatDate(today)) {
+    return earliest;
+  }
+
+  return nextStart;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
@@ -0,0 +1,401 @@
+import { HOLIDAY_REGIONS } from './holidays.js';
+import { TAG_PATTERN } from './rotation.js';
+
+/**
+ * Schema for data/rotation.json
+ * Every file records the schemaVersion it was written with. Older files are upgraded on load by
+ * running each migration after their version in turn, then checked by validateRotationData.
+ */
+
+/**
+ * Migrations, in order. Each one upgrades data from the previous version to its version.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Convert non-working days from a plain list of dates to specific and recurring days',
+    migrate(data) {
+      for (const [userId, config] of Object.entries(data.nonWorkingDays || {})) {
+        if (Array.isArray(config)) {
+          data.nonWorkingDays[userId] = { specificDates: [...config], recurringDays: [] };
+        }
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Add leave blocks, bank holiday regions and pending swaps',
+    migrate(data) {
+      data.skipList = data.skipList || [];
+      data.history = data.history || [];
+      data.nonWorkingDays = data.nonWorkingDays || {};
+      data.holidayRegions = data.holidayRegions || {};
+      data.pendingSwaps = data.pendingSwaps || [];
+
+      for (const config of Object.values(data.nonWorkingDays)) {
+        config.specificDates = config.specificDates || [];
+        config.recurringDays = config.recurringDays || [];
+        config.ranges = config.ranges || [];
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add new starters, for slots that only signed-off engineers can fill',
+    migrate(data) {
+      data.newStarters = data.newStarters || [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Add skill tags, for coverage rules',
+    migrate(data) {
+      data.tags = data.tags || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Add notification preferences and the last shift reminder sent, for direct messages',
+    migrate(data) {
+      data.notificationPreferences = data.notificationPreferences || {};
+      data.lastReminderDate = data.lastReminderDate || null;
+    }
+  }
+];
+
+/**
+ * The schema version written by this version of the bot
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_PARTS = ['am', 'pm'];
+
+/**
+ * Upgrade rotation data to the current schema version
+ * @param {Object} data - Rotation data as loaded, updated in place
+ * @returns {string[]} Descriptions of the migrations that were applied, empty if it was already current
+ */
+export function migrateRotationData(data) {
+  const fromVersion = data.schemaVersion || 0;
+
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Rotation data has schema version ${fromVersion}, but this version of the bot only understands up to ${SCHEMA_VERSION}`);
+  }
+
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migration.migrate(data);
+      data.schemaVersion = migration.version;
+      applied.push(`${migration.version}: ${migration.description}`);
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Check rotation data against the current schema
+ * Errors are problems the bot can't work with, such as a bad date string. Warnings are things that
+ * look wrong but are safe to run with, such as non-working days for a user who isn't in the rotation.
+ * @param {Object} data - Rotation data at the current schema version
+ * @returns {Object} { errors, warnings }, each a list of messages naming the field at fault
+ */
+export function validateRotationData(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(data)) {
+    return { errors: ['Rotation data must be an object'], warnings };
+  }
+
+  if (data.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, found ${JSON.stringify(data.schemaVersion)}`);
+  }
+
+  if (data.revision !== undefined && !(Number.isInteger(data.revision) && data.revision >= 0)) {
+    errors.push(`revision: ${JSON.stringify(data.revision)} is not a whole number`);
+  }
+
+  for (const field of ['rotationOrder', 'currentEngineers', 'skipList', 'newStarters']) {
+    checkUserIdList(data[field], field, errors);
+  }
+
+  if (data.lastRotationDate !== null && data.lastRotationDate !== undefined && !isTimestamp(data.lastRotationDate)) {
+    errors.push(`lastRotationDate: ${JSON.stringify(data.lastRotationDate)} is not a valid timestamp`);
+  }
+
+  // History
+  if (!Array.isArray(data.history)) {
+    errors.push('history: must be a list');
+  } else {
+    data.history.forEach((entry, index) => {
+      const path = `history[${index}]`;
+      if (!isPlainObject(entry)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      if (!isTimestamp(entry.date)) {
+        errors.push(`${path}.date: ${JSON.stringify(entry.date)} is not a valid timestamp`);
+      }
+      checkUserIdList(entry.engineers, `${path}.engineers`, errors);
+      if (entry.slots !== undefined) {
+        checkSlots(entry.slots, `${path}.slots`, errors);
+      }
+      if (entry.end !== undefined && !isDate(entry.end)) {
+        errors.push(`${path}.end: ${JSON.stringify(entry.end)} is not a valid date (expected YYYY-MM-DD)`);
+      }
+      if (entry.escalated !== undefined && typeof entry.escalated !== 'boolean') {
+        errors.push(`${path}.escalated: ${JSON.stringify(entry.escalated)} must be true or false`);
+      }
+      if (entry.thread !== undefined && !(isPlainObject(entry.thread) && typeof entry.thread.channel === 'string' && /^\d+\.\d+$/.test(entry.thread.ts))) {
+        errors.push(`${path}.thread: ${JSON.stringify(entry.thread)} must have the Slack channel and message ts of the shift's thread`);
+      }
+      (entry.swaps || []).forEach((swap, swapIndex) => {
+        checkUserId(swap.from, `${path}.swaps[${swapIndex}].from`, errors);
+        checkUserId(swap.to, `${path}.swaps[${swapIndex}].to`, errors);
+      });
+    });
+  }
+
+  // Non-working days
+  if (!isPlainObject(data.nonWorkingDays)) {
+    errors.push('nonWorkingDays: must be an object keyed by user ID');
+  } else {
+    for (const [userId, config] of Object.entries(data.nonWorkingDays)) {
+      const path = `nonWorkingDays.${userId}`;
+      checkUserId(userId, path, errors);
+
+      if (!isPlainObject(config)) {
+        errors.push(`${path}: must be an object with specificDates, recurringDays and ranges`);
+        continue;
+      }
+
+      checkList(config.specificDates, `${path}.specificDates`, errors, (entry, entryPath) => {
+        const { day, part } = splitDayPart(entry);
+        if (!isDate(day) || part === undefined) {
+          errors.push(`${entryPath}: ${JSON.stringify(entry)} is not a valid date (expected YYYY-MM-DD, optionally with :am or :pm)`);
+        }
+      });
+
+      checkList(config.recurringDays, `${path}.recurringDays`, errors, (entry, entryPath) => {
+        const { day, part } = splitDayPart(entry);
+        if (!DAYS_OF_WEEK.includes(day) || part === undefined) {
+          errors.push(`${entryPath}: ${JSON.stringify(entry)} is not a valid day of the week (expected e.g. friday or wednesday:pm)`);
+        }
+      });
+
+      checkList(config.ranges, `${path}.ranges`, errors, (range, rangePath) => {
+        if (!isPlainObject(range) || !isDate(range.start) || !isDate(range.end)) {
+          errors.push(`${rangePath}: ${JSON.stringify(range)} must have a valid start and end date`);
+        } else if (range.start > range.end) {
+          errors.push(`${rangePath}: starts (${range.start}) after it ends (${range.end})`);
+        }
+      });
+    }
+  }
+
+  // Bank holiday regions
+  if (!isPlainObject(data.holidayRegions)) {
+    errors.push('holidayRegions: must be an object keyed by user ID');
+  } else {
+    for (const [userId, region] of Object.entries(data.holidayRegions)) {
+      checkUserId(userId, `holidayRegions.${userId}`, errors);
+      if (!HOLIDAY_REGIONS.includes(region)) {
+        errors.push(`holidayRegions.${userId}: ${JSON.stringify(region)} is not one of ${HOLIDAY_REGIONS.join(', ')}`);
+      }
+    }
+  }
+
+  // Skill tags
+  if (!isPlainObject(data.tags)) {
+    errors.push('tags: must be an object keyed by user ID');
+  } else {
+    for (const [userId, tags] of Object.entries(data.tags)) {
+      checkUserId(userId, `tags.${userId}`, errors);
+      checkList(tags, `tags.${userId}`, errors, (tag, tagPath) => {
+        if (typeof tag !== 'string' || !TAG_PATTERN.test(tag)) {
+          errors.push(`${tagPath}: ${JSON.stringify(tag)} is not a valid tag (lowercase letters, numbers, - and _)`);
+        }
+      });
+    }
+  }
+
+  // Notification preferences
+  if (!isPlainObject(data.notificationPreferences)) {
+    errors.push('notificationPreferences: must be an object keyed by user ID');
+  } else {
+    for (const [userId, preferences] of Object.entries(data.notificationPreferences)) {
+      checkUserId(userId, `notificationPreferences.${userId}`, errors);
+      if (!isPlainObject(preferences) || typeof preferences.directMessages !== 'boolean') {
+        errors.push(`notificationPreferences.${userId}: ${JSON.stringify(preferences)} must say whether they get direct messages, e.g. { "directMessages": false }`);
+      }
+    }
+  }
+
+  if (data.lastReminderDate !== null && !isDate(data.lastReminderDate)) {
+    errors.push(`lastReminderDate: ${JSON.stringify(data.lastReminderDate)} is not a valid date (expected YYYY-MM-DD)`);
+  }
+
+  // Pending swaps
+  checkList(data.pendingSwaps, 'pendingSwaps', errors, (swap, path) => {
+    if (!isPlainObject(swap) || typeof swap.id !== 'string') {
+      errors.push(`${path}: must be an object with an id`);
+      return;
+    }
+    checkUserId(swap.requester, `${path}.requester`, errors);
+    checkUserId(swap.target, `${path}.target`, errors);
+  });
+
+  // Upcoming schedule
+  if (data.schedule !== undefined) {
+    if (!isPlainObject(data.schedule) || !Array.isArray(data.schedule.rotations)) {
+      errors.push('schedule: must be an object with a list of rotations');
+    } else {
+      data.schedule.rotations.forEach((rotation, index) => {
+        const path = `schedule.rotations[${index}]`;
+        if (!isDate(rotation.start) || !isDate(rotation.end)) {
+          errors.push(`${path}: ${JSON.stringify(rotation)} must have a valid start and end date`);
+        }
+        checkUserIdList(rotation.engineers, `${path}.engineers`, errors);
+        if (rotation.slots !== undefined) {
+          checkSlots(rotation.slots, `${path}.slots`, errors);
+        }
+        if (rotation.uncovered !== undefined) {
+          checkList(rotation.uncovered, `${path}.uncovered`, errors, (rule, rulePath) => {
+            if (!Array.isArray(rule) || rule.some(tag => typeof tag !== 'string')) {
+              errors.push(`${rulePath}: must be a list of tags`);
+            }
+          });
+        }
+      });
+    }
+  }
+
+  // User IDs that aren't in the rotation are probably typos
+  if (Array.isArray(data.rotationOrder) && data.rotationOrder.length > 0) {
+    const known = new Set(data.rotationOrder);
+    const references = [
+      ['currentEngineers', data.currentEngineers],
+      ['skipList', data.skipList],
+      ['newStarters', data.newStarters],
+      ['nonWorkingDays', isPlainObject(data.nonWorkingDays) ? Object.keys(data.nonWorkingDays) : []],
+      ['holidayRegions', isPlainObject(data.holidayRegions) ? Object.keys(data.holidayRegions) : []],
+      ['tags', isPlainObject(data.tags) ? Object.keys(data.tags) : []],
+      ['notificationPreferences', isPlainObject(data.notificationPreferences) ? Object.keys(data.notificationPreferences) : []]
+    ];
+
+    for (const [field, userIds] of references) {
+      for (const userId of Array.isArray(userIds) ? userIds : []) {
+        if (typeof userId === 'string' && !known.has(userId)) {
+          warnings.push(`${field}: unknown user ID ${userId} (not in rotationOrder)`);
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check a field is a list, then check each entry
+ * @param {*} value - Field value
+ * @param {string} path - Field name for messages
+ * @param {string[]} errors - Errors to add to
+ * @param {Function} checkEntry - Called with each entry and its path
+ */
+function checkList(value, path, errors, checkEntry) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: must be a list`);
+    return;
+  }
+  value.forEach((entry, index) => checkEntry(entry, `${path}[${index}]`));
+}
+
+/**
+ * Check a field is a list of filled slots: [{ name, engineer }]
+ * @param {*} value - Field value
+ * @param {string} path - Field name for messages
+ * @param {string[]} errors - Errors to add to
+ */
+function checkSlots(value, path, errors) {
+  checkList(value, path, errors, (slot, slotPath) => {
+    if (!isPlainObject(slot) || typeof slot.name !== 'string' || slot.name === '') {
+      errors.push(`${slotPath}: must be an object with a slot name and engineer`);
+      return;
+    }
+    checkUserId(slot.engineer, `${slotPath}.engineer`, errors);
+  });
+}
+
+/**
+ * Check a field is a list of Slack user IDs
+ * @param {*} value - Field value
+ * @param {string} path - Field name for messages
+ * @param {string[]} errors - Errors to add to
+ */
+function checkUserIdList(value, path, errors) {
+  checkList(value, path, errors, (userId, entryPath) => checkUserId(userId, entryPath, errors));
+}
+
+/**
+ * Check a value looks like a Slack user ID (e.g. U07N6NZTL1G)
+ * @param {*} userId - Value to check
+ * @param {string} path - Field name for messages
+ * @param {string[]} errors - Errors to add to
+ */
+function checkUserId(userId, path, errors) {
+  if (typeof userId !== 'string' || !/^[UW][A-Z0-9]+$/.test(userId)) {
+    errors.push(`${path}: ${JSON.stringify(userId)} is not a Slack user ID`);
+  }
+}
+
+/**
+ * Split an entry into the day and an optional half-day part
+ * @param {string} entry - Entry such as "2025-12-24:pm" or "friday"
+ * @returns {Object} { day, part }, where part is null for a whole day or undefined if invalid
+ */
+function splitDayPart(entry) {
+  if (typeof entry !== 'string') {
+    return { day: null, part: undefined };
+  }
+  const [day, part, ...rest] = entry.split(':');
+  if (part === undefined) {
+    return { day, part: null };
+  }
+  return { day, part: DAY_PARTS.includes(part) && rest.length === 0 ? part : undefined };
+}
+
+/**
+ * Check a value is a real calendar date in YYYY-MM-DD format
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  // Rejects dates such as 2025-02-30, which Date would roll over into March
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Check a value is a parseable ISO timestamp
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isTimestamp(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value));
+}
+
+/**
+ * Check a value is a plain object (not null or a list)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a plain object
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
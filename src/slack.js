@@ -1,29 +1,220 @@
-import { WebClient } from '@slack/web-api';
+import { renderTemplate } from './messages.js';
+
+/**
+ * Build the support assignment message from the templates
+ * @param {Object} templates - Message templates from loadMessageTemplates
+ * @param {Object} assignment - The assignment
+ * @param {string[]} assignment.engineers - Array of engineer user IDs
+ * @param {Object[]} [assignment.slots] - Slots the engineers hold ({ name, engineer }), for rotas with named slots
+ * @param {string} [assignment.reason] - Why support was reassigned, shown instead of the greeting
+ * @param {string[]} [assignment.notes] - Which coverage or pairing rules changed the picks, shown below the message
+ * @param {string[]} [assignment.warnings] - Rules the shift doesn't meet, shown below the message
+ * @param {string} [assignment.handoverUrl] - Link to the previous shift's thread, for the incoming engineers to catch up on
+ * @param {string[]} [assignment.handoverTo] - Engineers joining support, to mention with the link (default: all of them)
+ * @param {string} assignment.start - First day of the shift (YYYY-MM-DD)
+ * @param {string} assignment.end - Last day of the shift (YYYY-MM-DD)
+ * @param {number} assignment.days - Number of working days per rotation
+ * @param {number} assignment.daysRemaining - Working days left in the shift
+ * @returns {Object} Message with text and blocks
+ */
+export function buildSupportAssignmentMessage(templates, { engineers, slots = null, reason = null, notes = [], warnings = [], handoverUrl = null, handoverTo = null, start, end, days, daysRemaining }) {
+  const { greeting, text, blocks } = templates.supportAssignment;
+
+  const values = {
+    ...templates.variables,
+    engineers: formatEngineers(engineers, slots),
+    roles: slots ? slots.map(slot => `${slot.name}: <@${slot.engineer}>`).join(', ') : '',
+    startDate: formatDay(start),
+    endDate: formatDay(end),
+    days,
+    daysRemaining,
+    reason
+  };
+  values.intro = reason || renderTemplate(greeting, values);
+
+  const message = {
+    text: renderTemplate(text, values),
+    blocks: renderTemplate(blocks, values)
+  };
+
+  // Point the incoming engineers at the outgoing ones' handover
+  if (handoverUrl) {
+    const handoverText = `:arrows_counterclockwise: ${formatEngineers(handoverTo || engineers)}, catch up on <${handoverUrl}|the handover from the last shift>.`;
+    message.text += `\n\n${handoverText}`;
+    message.blocks.push({ type: 'section', text: { type: 'mrkdwn', text: handoverText } });
+  }
+
+  // Say why the picks aren't simply the next in line, and show any gaps in cover, whatever the templates say
+  const footnotes = [
+    ...notes.map(note => `:information_source: ${note}`),
+    ...warnings.map(warning => `:warning: ${warning}`)
+  ];
+  if (footnotes.length > 0) {
+    const footnoteText = footnotes.join('\n');
+    message.text += `\n\n${footnoteText}`;
+    message.blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: footnoteText }] });
+  }
+
+  return message;
+}
 
 /**
  * Post a support assignment message to Slack
- * @param {string} token - Slack API token
+ * @param {Object} slack - Slack gateway from getSlackGateway
  * @param {string} channel - Channel to post to (without the #)
- * @param {string[]} engineers - Array of engineer user IDs
- * @param {string} customMessage - Optional custom message
- * @param {number} daysPerRotation - Number of days per rotation
+ * @param {Object} templates - Message templates from loadMessageTemplates
+ * @param {Object} assignment - The assignment (see buildSupportAssignmentMessage)
+ * @param {Object} [thread] - Shift thread to reply in ({ channel, ts }), for reassignments; a new message is posted without one
+ * @returns {Promise<Object>} The shift's thread: { channel, ts }
  */
-export async function postSupportAssignment(token, channel, engineers, customMessage = null, daysPerRotation = 2) {
-  const client = new WebClient(token);
+export async function postSupportAssignment(slack, channel, templates, assignment, thread = null) {
+  const { client } = slack;
 
-  // Format the engineers as user mentions
-  const engineerMentions = engineers.map(id => `<@${id}>`).join(' and ');
+  try {
+    const response = await client.chat.postMessage({
+      channel: thread ? thread.channel : channel,
+      ...(thread ? { thread_ts: thread.ts } : {}),
+      ...buildSupportAssignmentMessage(templates, assignment)
+    });
+
+    console.log(`Posted support assignment to #${channel}${thread ? ' in the shift\'s thread' : ''}`);
+    return thread || { channel: response.channel, ts: response.ts };
+  } catch (error) {
+    console.error('Error posting to Slack:', error);
+    throw error;
+  }
+}
 
-  // Create the message
-  const message = customMessage || `:sunny: Good morning team! :sunny:`;
-  const supportMessage = `${engineerMentions} are on application support for the next ${daysPerRotation} working days. During this time please keep an eye on the #cas-events channel and monitor any alerts that appear there.\n\nIf you are unable to immediately put in a fix for the alert, please document it in some way - either by creating a ticket in JIRA and/or commenting on the alert.\n
-  \n<https://dsdmoj.atlassian.net/wiki/spaces/AP/pages/5006426252/CAS+Technical+Support|See support documentation for guidance>.\n
-  \nTo add in your non-working days, <https://github.com/ministryofjustice/hmpps-community-accommodation-services-support-bot/actions/workflows/manage-non-working-days.yml|please use the action on the support bot here>.`;
+/**
+ * Build the end-of-shift prompt asking the outgoing engineers for a handover
+ * @param {string[]} outgoing - Engineers whose shift is ending
+ * @param {string[]} incoming - Engineers taking over
+ * @returns {string} Message text
+ */
+export function buildHandoverPrompt(outgoing, incoming) {
+  return `:hourglass: ${formatEngineers(outgoing)}, your support shift is ending. Please reply in this thread with a summary of any open alerts, so ${formatEngineers(incoming)} ${incoming.length === 1 ? 'knows' : 'know'} where things stand.`;
+}
+
+/**
+ * Post the end-of-shift handover prompt in the outgoing shift's thread
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {Object} thread - The outgoing shift's thread ({ channel, ts })
+ * @param {string[]} outgoing - Engineers whose shift is ending
+ * @param {string[]} incoming - Engineers taking over
+ * @returns {Promise<string|null>} Link to the thread, or null if Slack didn't give one
+ */
+export async function postHandoverPrompt(slack, thread, outgoing, incoming) {
+  const { client } = slack;
+
+  try {
+    await client.chat.postMessage({
+      channel: thread.channel,
+      thread_ts: thread.ts,
+      text: buildHandoverPrompt(outgoing, incoming)
+    });
+
+    console.log('Posted handover prompt in the last shift\'s thread');
+  } catch (error) {
+    console.error('Error posting to Slack:', error);
+    throw error;
+  }
+
+  return getThreadLink(slack, thread);
+}
+
+/**
+ * Get a link to a shift's thread
+ * The link is only a convenience, so a failure is logged rather than stopping the rotation.
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {Object} thread - The thread ({ channel, ts })
+ * @returns {Promise<string|null>} Link to the thread, or null if Slack didn't give one
+ */
+export async function getThreadLink(slack, thread) {
+  try {
+    const response = await slack.client.chat.getPermalink({ channel: thread.channel, message_ts: thread.ts });
+    return response.permalink;
+  } catch (error) {
+    console.warn(`Could not get a link to the last shift's thread: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Print a message to the console instead of posting it, when Slack is disabled or in a dry run
+ * @param {string} title - What the message is, e.g. 'SUPPORT ASSIGNMENT'
+ * @param {string} text - Message text
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun] - Whether this is a dry run, rather than Slack being disabled
+ * @param {boolean} [options.copyPrompt] - Whether to remind people to post it by hand (never in a dry run)
+ */
+export function printSlackMessage(title, text, { dryRun = false, copyPrompt = false } = {}) {
+  console.log('\n' + '='.repeat(80));
+  console.log(`${title} (${dryRun ? 'Dry Run - Not Posted' : 'Slack Disabled'})`);
+  console.log('='.repeat(80));
+  console.log(text);
+  console.log('='.repeat(80));
+  if (copyPrompt && !dryRun) {
+    console.log('\n📋 COPY THE ABOVE MESSAGE TO YOUR SLACK CHANNEL MANUALLY');
+    console.log('='.repeat(80));
+  }
+  console.log('');
+}
+
+/**
+ * Human-readable descriptions of why a rotation couldn't be staffed
+ */
+const UNSTAFFED_DESCRIPTIONS = {
+  no_engineers: 'there are no engineers in the support user group',
+  all_out_of_office: 'every engineer has an out-of-office or illness status',
+  all_non_working: 'every engineer who is in has non-working days during the rotation',
+  too_few_available: 'too few engineers are available to cover the rotation'
+};
+
+/**
+ * Build the escalation message for a rotation that couldn't be staffed
+ * @param {string} reason - Why the rotation is unstaffed (see UNSTAFFED_REASONS in rotation.js)
+ * @param {Object} [details] - Counts to include in the message
+ * @param {string} [escalationUserGroupId] - User group to mention, defaults to @here
+ * @returns {string} Message text
+ */
+export function buildUnstaffedEscalation(reason, details = {}, escalationUserGroupId = null) {
+  const mention = escalationUserGroupId ? `<!subteam^${escalationUserGroupId}>` : '<!here>';
+  const description = UNSTAFFED_DESCRIPTIONS[reason] || reason;
+
+  let message = `:rotating_light: ${mention} Nobody could be assigned to application support because ${description}.`;
+
+  if (details.totalEngineers !== undefined) {
+    message += `\n\nEngineers in the group: ${details.totalEngineers}` +
+      `, out of office: ${details.outOfOffice || 0}` +
+      `, with non-working days: ${details.nonWorking || 0}` +
+      `, needed: ${details.required}.`;
+  }
+
+  if (details.attempts > 1) {
+    message += `\n\nThis is attempt ${details.attempts} to staff this rotation.`;
+  }
+
+  message += '\n\nCould a lead please arrange cover? The bot will try again on its next run.';
+
+  return message;
+}
+
+/**
+ * Post an escalation to Slack when a rotation couldn't be staffed
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {string} channel - Channel to post to (without the #)
+ * @param {string} reason - Why the rotation is unstaffed (see UNSTAFFED_REASONS in rotation.js)
+ * @param {Object} [details] - Counts to include in the message
+ * @param {string} [escalationUserGroupId] - User group to mention, defaults to @here
+ */
+export async function postUnstaffedEscalation(slack, channel, reason, details = {}, escalationUserGroupId = null) {
+  const { client } = slack;
+  const message = buildUnstaffedEscalation(reason, details, escalationUserGroupId);
 
   try {
     await client.chat.postMessage({
       channel,
-      text: `${message}\n\n${supportMessage}`,
+      text: message,
       blocks: [
         {
           type: "section",
@@ -31,21 +222,154 @@ export async function postSupportAssignment(token, channel, engineers, customMes
             type: "mrkdwn",
             text: message
           }
-        },
+        }
+      ]
+    });
+
+    console.log(`Posted unstaffed rotation escalation to #${channel}`);
+  } catch (error) {
+    console.error('Error posting to Slack:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the message asking a colleague to accept a support swap
+ * @param {Object} swap - Pending swap from proposeSwap
+ * @returns {Object} Message with text and blocks
+ */
+export function buildSwapRequestMessage(swap) {
+  const text = `:repeat: <@${swap.requester}> has asked <@${swap.target}> to take over their application support shift.`;
+
+  return {
+    text,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${text}\n<@${swap.target}>, can you swap?`
+        }
+      },
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: "Accept" },
+            style: "primary",
+            action_id: "accept_swap",
+            value: swap.id
+          },
+          {
+            type: "button",
+            text: { type: "plain_text", text: "Decline" },
+            action_id: "decline_swap",
+            value: swap.id
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Post a swap request to Slack, with buttons for the colleague to accept or decline
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {string} channel - Channel to post to (without the #)
+ * @param {Object} swap - Pending swap from proposeSwap
+ */
+export async function postSwapRequest(slack, channel, swap) {
+  const { client } = slack;
+
+  try {
+    await client.chat.postMessage({
+      channel,
+      ...buildSwapRequestMessage(swap)
+    });
+
+    console.log(`Posted swap request to #${channel}`);
+  } catch (error) {
+    console.error('Error posting to Slack:', error);
+    throw error;
+  }
+}
+
+/**
+ * Post a completed support swap to Slack
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {string} channel - Channel to post to (without the #)
+ * @param {Object} swap - Completed swap from acceptSwap
+ * @param {string[]} engineers - Engineers now on support
+ * @param {Object} [thread] - The shift's thread ({ channel, ts }), to reply in rather than posting a new message
+ */
+export async function postSwapConfirmation(slack, channel, swap, engineers, thread = null) {
+  const { client } = slack;
+  const engineerMentions = engineers.map(id => `<@${id}>`).join(' and ');
+  const message = `:repeat: <@${swap.target}> has swapped in for <@${swap.requester}>. ${engineerMentions} are now on application support.`;
+
+  try {
+    await client.chat.postMessage({
+      channel: thread ? thread.channel : channel,
+      ...(thread ? { thread_ts: thread.ts } : {}),
+      text: message
+    });
+
+    console.log(`Posted swap confirmation to #${channel}${thread ? ' in the shift\'s thread' : ''}`);
+  } catch (error) {
+    console.error('Error posting to Slack:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the "upcoming support" summary of the planned schedule
+ * @param {Object} schedule - Planned schedule from generateSchedule
+ * @returns {string} Message text
+ */
+export function buildUpcomingScheduleMessage(schedule) {
+  const lines = schedule.rotations.map(rotation => {
+    const dates = rotation.start === rotation.end
+      ? formatDay(rotation.start)
+      : `${formatDay(rotation.start)} - ${formatDay(rotation.end)}`;
+    const who = rotation.unstaffed
+      ? ':warning: nobody available'
+      : formatEngineers(rotation.engineers, rotation.slots);
+    const gaps = (rotation.uncovered || []).map(rule => ` :warning: no ${rule.join(' or ')} cover`);
+    return `• ${dates}: ${who}${gaps.join('')}`;
+  });
+
+  return `:calendar: *Upcoming support*\n${lines.join('\n')}\n\n` +
+    '_This is a plan, not a promise: it changes when availability changes. ' +
+    'If you can\'t make a shift, update your non-working days._';
+}
+
+/**
+ * Post the "upcoming support" summary of the planned schedule to Slack
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {string} channel - Channel to post to (without the #)
+ * @param {Object} schedule - Planned schedule from generateSchedule
+ */
+export async function postUpcomingSchedule(slack, channel, schedule) {
+  const { client } = slack;
+  const message = buildUpcomingScheduleMessage(schedule);
+
+  try {
+    await client.chat.postMessage({
+      channel,
+      text: message,
+      blocks: [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `:sunflower: *Support Assignment* :sunflower:\n${supportMessage}`
+            text: message
           }
-        },
-        {
-          type: "divider"
         }
       ]
     });
 
-    console.log(`Posted support assignment to #${channel}`);
+    console.log(`Posted upcoming support schedule to #${channel}`);
   } catch (error) {
     console.error('Error posting to Slack:', error);
     throw error;
@@ -53,80 +377,220 @@ export async function postSupportAssignment(token, channel, engineers, customMes
 }
 
 /**
- * Get all members of a user group
- * @param {string} token - Slack API token
- * @param {string} userGroupId - User group ID (without the @)
- * @returns {Promise<string[]>} Array of user IDs
+ * Build the direct message telling an engineer about a shift they're on
+ * @param {string} userId - Engineer the message is for
+ * @param {Object} shift - The shift
+ * @param {string[]} shift.engineers - Everyone on the shift
+ * @param {Object[]} [shift.slots] - Slots the engineers hold ({ name, engineer }), for rotas with named slots
+ * @param {string} shift.start - First day of the shift (YYYY-MM-DD)
+ * @param {string} shift.end - Last day of the shift (YYYY-MM-DD)
+ * @param {boolean} [reminder] - Whether this is the reminder the working day before, rather than the assignment
+ * @returns {string} Message text
  */
-export async function getUserGroupMembers(token, userGroupId) {
-  const client = new WebClient(token);
+export function buildShiftDirectMessage(userId, { engineers, slots = null, start, end }, reminder = false) {
+  const slot = slots ? slots.find(s => s.engineer === userId) : null;
+  const others = engineers.filter(id => id !== userId);
+  const partners = others.length > 0 ? `with ${formatEngineers(others, slots ? slots.filter(s => s.engineer !== userId) : null)}` : 'on your own';
+  const dates = start === end ? `on ${formatDay(start)}` : `from ${formatDay(start)} to ${formatDay(end)}`;
+  const role = slot ? ` as ${slot.name}` : '';
 
-  try {
-    // First, find the user group ID if we only have the handle
-    const userGroupsResponse = await client.usergroups.list();
+  if (reminder) {
+    return `:alarm_clock: Reminder: you're on application support${role} ${dates}, ${partners}. If you can't make it, add your non-working days so the bot can plan around you.`;
+  }
+  return `:wave: You're on application support${role} ${dates}, ${partners}.`;
+}
 
-    if (!userGroupsResponse.ok) {
-      throw new Error(`Failed to list user groups: ${userGroupsResponse.error}`);
-    }
+/**
+ * Build the direct message telling an engineer they've been taken off support
+ * @param {string} reason - Why, e.g. "non-working days during the rotation"
+ * @param {string[]} engineers - Engineers on support now
+ * @returns {string} Message text
+ */
+export function buildRemovalDirectMessage(reason, engineers) {
+  const cover = engineers.length > 0 ? ` ${formatEngineers(engineers)} ${engineers.length === 1 ? 'is' : 'are'} on support now.` : '';
+  return `:information_source: You've been taken off application support (${reason}).${cover}`;
+}
 
-    // Find the group that matches our ID or handle
-    const userGroup = userGroupsResponse.usergroups.find(group =>
-      group.id === userGroupId || group.handle === userGroupId
-    );
+/**
+ * Send direct messages to engineers
+ * A message that can't be sent is logged rather than stopping the rest.
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {Object[]} messages - Messages to send ({ userId, text })
+ */
+export async function sendDirectMessages(slack, messages) {
+  const { client } = slack;
+
+  const settled = await Promise.allSettled(messages.map(async ({ userId, text }) => {
+    const conversation = await client.conversations.open({ users: userId });
+    await client.chat.postMessage({ channel: conversation.channel.id, text });
+  }));
 
-    if (!userGroup) {
-      throw new Error(`User group "${userGroupId}" not found`);
+  settled.forEach((outcome, index) => {
+    if (outcome.status === 'rejected') {
+      console.warn(`Could not send a direct message to ${messages[index].userId}: ${outcome.reason.message}`);
     }
+  });
 
-    // Get members of the group
-    const membersResponse = await client.usergroups.users.list({
-      usergroup: userGroup.id
-    });
+  const sent = settled.filter(outcome => outcome.status === 'fulfilled').length;
+  if (sent > 0) {
+    console.log(`Sent ${sent} direct message(s)`);
+  }
+}
 
-    if (!membersResponse.ok) {
-      throw new Error(`Failed to list user group members: ${membersResponse.error}`);
+/**
+ * Build the channel topic showing who's on support
+ * @param {string[]} engineers - Engineers on support
+ * @param {string} [end] - Last day of their shift (YYYY-MM-DD)
+ * @returns {string} Topic
+ */
+export function buildSupportTopic(engineers, end = null) {
+  return `:sos: On support: ${formatEngineers(engineers)}${end ? ` until ${formatDay(end)}` : ''}`;
+}
+
+/**
+ * Show who's on support outside the channel: make them the members of the support user group and,
+ * if asked, put them in the channel topic
+ * The assignment has already been posted by now, so a failure is logged rather than stopping the run.
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {Object} options - Where to show them
+ * @param {string} [options.userGroupId] - Support user group ID or handle (without the @), e.g. cas-support-now
+ * @param {string} [options.channel] - Channel whose topic to set (without the #)
+ * @param {boolean} [options.setTopic] - Whether to set the channel topic
+ * @param {string[]} engineers - Engineers on support now
+ * @param {string} [end] - Last day of their shift (YYYY-MM-DD)
+ */
+export async function showWhoIsOnSupport(slack, { userGroupId = null, channel = null, setTopic = false }, engineers, end = null) {
+  if (engineers.length === 0) {
+    return;
+  }
+
+  if (userGroupId) {
+    try {
+      const usergroup = await slack.resolveUserGroupId(userGroupId);
+      await slack.client.usergroups.users.update({ usergroup, users: engineers.join(',') });
+      console.log(`Updated @${userGroupId} to: ${engineers.join(', ')}`);
+    } catch (error) {
+      console.warn(`Could not update the members of @${userGroupId}: ${error.message}`);
+    }
+  }
+
+  if (setTopic && channel) {
+    try {
+      await slack.client.conversations.setTopic({
+        channel: await slack.resolveChannelId(channel),
+        topic: buildSupportTopic(engineers, end)
+      });
+      console.log(`Set the topic of #${channel}`);
+    } catch (error) {
+      console.warn(`Could not set the topic of #${channel}: ${error.message}`);
     }
+  }
+}
+
+/**
+ * Get all members of a user group
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {string} userGroupId - User group ID or handle (without the @)
+ * @returns {Promise<string[]>} Array of user IDs
+ */
+export async function getUserGroupMembers(slack, userGroupId) {
+  try {
+    const usergroup = await slack.resolveUserGroupId(userGroupId);
+    const membersResponse = await slack.client.usergroups.users.list({ usergroup });
 
     return membersResponse.users;
   } catch (error) {
-    console.error('Error getting user group members:', error);
+    console.error('Error getting user group members:', error.message);
     throw error;
   }
 }
 
 /**
  * Get statuses for a list of users
- * @param {string} token - Slack API token
+ * Users whose lookup fails are treated as having no status, so one bad lookup doesn't stop the rotation.
+ * @param {Object} slack - Slack gateway from getSlackGateway
  * @param {string[]} userIds - Array of user IDs
  * @returns {Promise<Object>} Map of user IDs to their status objects
+ * @throws {Error} If no user's status could be looked up
  */
-export async function getUserStatuses(token, userIds) {
-  const client = new WebClient(token);
-  const statuses = {};
+export async function getUserStatuses(slack, userIds) {
+  const { results, failures } = await slack.lookUpUsers(userIds, async (client, userId) => {
+    const userInfo = await client.users.info({ user: userId });
+    const profile = userInfo.user.profile || {};
 
-  try {
-    // Get status for each user
-    // We're doing this in parallel for better performance
-    await Promise.all(userIds.map(async (userId) => {
-      try {
-        const userInfo = await client.users.info({ user: userId });
-
-        if (userInfo.ok && userInfo.user.profile) {
-          statuses[userId] = {
-            statusEmoji: userInfo.user.profile.status_emoji || '',
-            statusText: userInfo.user.profile.status_text || '',
-            statusExpiration: userInfo.user.profile.status_expiration || 0
-          };
-        }
-      } catch (userError) {
-        console.warn(`Error getting status for user ${userId}:`, userError);
-        // Continue with other users
-      }
-    }));
+    return {
+      statusEmoji: profile.status_emoji || '',
+      statusText: profile.status_text || '',
+      statusExpiration: profile.status_expiration || 0
+    };
+  });
 
-    return statuses;
-  } catch (error) {
-    console.error('Error getting user statuses:', error);
-    throw error;
+  reportFailedLookups('status', userIds, failures);
+  return results;
+}
+
+/**
+ * Get display names for a list of users
+ * @param {Object} slack - Slack gateway from getSlackGateway
+ * @param {string[]} userIds - Array of user IDs
+ * @returns {Promise<Object>} Map of user IDs to display names (users that can't be looked up are left out)
+ * @throws {Error} If no user's name could be looked up
+ */
+export async function getUserNames(slack, userIds) {
+  const { results, failures } = await slack.lookUpUsers(userIds, async (client, userId) => {
+    const userInfo = await client.users.info({ user: userId });
+    const profile = userInfo.user.profile || {};
+
+    return profile.display_name || profile.real_name || userInfo.user.name || userId;
+  });
+
+  reportFailedLookups('name', userIds, failures);
+  return results;
+}
+
+/**
+ * Warn about users that couldn't be looked up, or fail if none could
+ * @param {string} what - What was being looked up, e.g. 'status'
+ * @param {string[]} userIds - Users looked up
+ * @param {Object[]} failures - Failed lookups ({ userId, error })
+ * @throws {Error} If every lookup failed
+ */
+function reportFailedLookups(what, userIds, failures) {
+  if (failures.length === 0) {
+    return;
+  }
+
+  if (failures.length === userIds.length) {
+    throw new Error(`Could not get the ${what} of any user: ${failures[0].error.message}`);
+  }
+
+  const users = failures.map(({ userId, error }) => `${userId} (${error.message})`).join(', ');
+  console.warn(`Could not get the ${what} of ${failures.length} of ${userIds.length} users, carrying on without: ${users}`);
+}
+
+/**
+ * Format a date for messages, e.g. "Mon 20 Oct"
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Formatted date
+ */
+function formatDay(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Mention engineers, with the slot each one holds for rotas with named slots
+ * @param {string[]} engineers - Engineer user IDs
+ * @param {Object[]|null} [slots] - Slots ({ name, engineer })
+ * @returns {string} Mentions, e.g. "<@U1> (primary) and <@U2> (secondary)"
+ */
+function formatEngineers(engineers, slots = null) {
+  if (!slots) {
+    return engineers.map(id => `<@${id}>`).join(' and ');
   }
-}
\ No newline at end of file
+  return slots.map(slot => `<@${slot.engineer}> (${slot.name})`).join(' and ');
+}
@@ -0,0 +1,497 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { StorageConflictError } from './storage.js';
+import {
+  addNonWorkingDays,
+  removeNonWorkingDays,
+  clearNonWorkingDays,
+  describeNonWorkingDays,
+  isValidNonWorkingDay,
+  addWorkingDays,
+  getAvailableEngineers
+} from './nonWorkingDays.js';
+import { proposeSwap, acceptSwap, declineSwap, getCurrentShift, setDirectMessages } from './rotation.js';
+import { refreshSchedule } from './schedule.js';
+import { checkAndReassignIfNeeded } from './manageAvailability.js';
+import { postSwapRequest, postSwapConfirmation, buildSwapRequestMessage, showWhoIsOnSupport } from './slack.js';
+
+/**
+ * Handling for the Slack app: slash commands and Block Kit interactions for managing availability
+ */
+
+// Slack rejects requests older than this, to stop replay attacks
+const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+// Slack's requests are a few kilobytes; anything bigger than this isn't read
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const HELP_TEXT = [
+  '*Managing your non-working days*',
+  '`/support-off 2026-05-01..2026-05-03 annual leave` - book dates, ranges or days off, with an optional label',
+  '`/support-off friday` or `/support-off wednesday:pm` - add a recurring day or half day',
+  '`/support-off remove 2026-05-01..2026-05-03` - remove dates, ranges or days',
+  '`/support-off list` - show your non-working days',
+  '`/support-off clear` - remove all your non-working days',
+  '`/support-off notifications off` or `/support-off notifications on` - stop or start direct messages about your shifts'
+].join('\n');
+
+// Slash command for swapping a support shift with a colleague
+export const SWAP_COMMAND = '/support-swap';
+
+/**
+ * Sign a Slack request body the way Slack does
+ * @param {string} signingSecret - Slack app signing secret
+ * @param {string|number} timestamp - Request timestamp in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Signature, e.g. "v0=abc123..."
+ */
+export function signSlackRequest(signingSecret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', signingSecret);
+  hmac.update(`v0:${timestamp}:${body}`);
+  return `v0=${hmac.digest('hex')}`;
+}
+
+/**
+ * Verify that a request came from Slack
+ * @param {string} signingSecret - Slack app signing secret
+ * @param {Object} headers - Request headers (lowercase names, as Node provides them)
+ * @param {string} body - Raw request body
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the signature is valid and the request is recent
+ */
+export function verifySlackSignature(signingSecret, headers, body, now = Date.now()) {
+  const timestamp = headers['x-slack-request-timestamp'];
+  const signature = headers['x-slack-signature'];
+
+  if (!timestamp || !signature) {
+    return false;
+  }
+
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signSlackRequest(signingSecret, timestamp, body));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Handle a slash command, e.g. "/support-off 2026-05-01..2026-05-03 annual leave"
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} command - Slash command fields from Slack (user_id, text)
+ * @returns {Object} { changed, message } where message is the ephemeral response to the user
+ */
+export function handleSlashCommand(rotationData, command) {
+  const userId = command.user_id;
+  const [subcommand, ...rest] = (command.text || '').trim().split(/\s+/);
+
+  switch ((subcommand || '').toLowerCase()) {
+    case '':
+    case 'help':
+      return { changed: false, message: ephemeral(HELP_TEXT) };
+
+    case 'list':
+      return { changed: false, message: buildListMessage(rotationData, userId) };
+
+    case 'clear':
+      clearNonWorkingDays(rotationData, userId);
+      return { changed: true, message: ephemeral('Cleared all your non-working days.') };
+
+    case 'notifications': {
+      const setting = (rest[0] || '').toLowerCase();
+      if (setting !== 'on' && setting !== 'off') {
+        return { changed: false, message: ephemeral(`Say \`notifications on\` or \`notifications off\`.\n\n${HELP_TEXT}`) };
+      }
+      setDirectMessages(rotationData, userId, setting === 'on');
+      return {
+        changed: true,
+        message: ephemeral(setting === 'on'
+          ? "I'll send you direct messages about your support shifts."
+          : "I won't send you direct messages about your support shifts any more. You'll still be mentioned in the channel.")
+      };
+    }
+
+    case 'remove': {
+      const { days } = parseDaysAndLabel(rest);
+      if (days.length === 0) {
+        return { changed: false, message: ephemeral(`Tell me which days to remove.\n\n${HELP_TEXT}`) };
+      }
+      removeNonWorkingDays(rotationData, userId, days);
+      return { changed: true, message: ephemeral(`Removed non-working days: ${days.join(', ')}`) };
+    }
+
+    default: {
+      const { days, label } = parseDaysAndLabel([subcommand, ...rest]);
+      if (days.length === 0) {
+        return { changed: false, message: ephemeral(`I didn't recognise any dates or days there.\n\n${HELP_TEXT}`) };
+      }
+      addNonWorkingDays(rotationData, userId, days, label);
+      return {
+        changed: true,
+        message: ephemeral(`Added non-working days: ${days.join(', ')}${label ? ` (${label})` : ''}`)
+      };
+    }
+  }
+}
+
+/**
+ * Handle the swap slash command, e.g. "/support-swap @colleague"
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} command - Slash command fields from Slack (user_id, text)
+ * @param {Object} [holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @param {Object[]} [slots] - The rota's slots, see SHIFT_SLOTS
+ * @param {number} [minCoverage] - Fraction of the rest of the shift the colleague must be in for, see MIN_COVERAGE (default: 1)
+ * @returns {Object} { changed, message, announcements } where announcements are channel posts to make
+ */
+export function handleSwapCommand(rotationData, command, holidayCalendar = null, slots = null, minCoverage = 1) {
+  // Slack sends mentions as <@U123|name>; accept a bare user ID too
+  const match = (command.text || '').match(/<@([A-Z0-9]+)(?:\|[^>]*)?>|\b([UW][A-Z0-9]{2,})\b/);
+  if (!match) {
+    return { changed: false, message: ephemeral(`Tell me who to swap with, e.g. \`${SWAP_COMMAND} @colleague\``) };
+  }
+
+  const targetId = match[1] || match[2];
+
+  // Only engineers on the rotation can take a shift, not anyone who can be mentioned
+  if (!rotationData.rotationOrder.includes(targetId)) {
+    return { changed: false, message: ephemeral(`<@${targetId}> isn't on the support rotation, so can't swap in.`) };
+  }
+
+  // The colleague needs to be in for every working day left in the shift, as when it was assigned.
+  // Shifts recorded before their last day was kept are checked up to the next working day.
+  const today = new Date();
+  const shift = getCurrentShift(rotationData);
+  const end = shift && shift.end ? new Date(`${shift.end}T23:59:59Z`) : addWorkingDays(today, 1, holidayCalendar);
+  if (getAvailableEngineers(rotationData, [targetId], today, end, holidayCalendar, minCoverage).length === 0) {
+    return { changed: false, message: ephemeral(`<@${targetId}> has non-working days during this shift, so can't swap in.`) };
+  }
+
+  try {
+    const swap = proposeSwap(rotationData, command.user_id, targetId, slots);
+    return {
+      changed: true,
+      message: ephemeral(`I've asked <@${targetId}> to take over your shift. I'll post in the channel if they accept.`),
+      announcements: [{ type: 'swap_request', swap }]
+    };
+  } catch (error) {
+    return { changed: false, message: ephemeral(error.message) };
+  }
+}
+
+/**
+ * Handle a Block Kit interaction from one of the bot's messages
+ * @param {Object} rotationData - Current rotation data
+ * @param {Object} payload - Interaction payload from Slack
+ * @returns {Object} { changed, message, replaceOriginal, announcements } where message is sent back
+ *   to the response URL (replacing the original unless replaceOriginal is false), or null to leave it
+ */
+export function handleInteraction(rotationData, payload) {
+  if (payload.type !== 'block_actions' || !payload.actions || payload.actions.length === 0) {
+    return { changed: false, message: null };
+  }
+
+  const userId = payload.user.id;
+  const action = payload.actions[0];
+
+  if (action.action_id === 'accept_swap' || action.action_id === 'decline_swap') {
+    try {
+      if (action.action_id === 'accept_swap') {
+        const swap = acceptSwap(rotationData, action.value, userId);
+        const shift = getCurrentShift(rotationData);
+        return {
+          changed: true,
+          message: { text: `:white_check_mark: <@${swap.target}> accepted the swap with <@${swap.requester}>.` },
+          // The change goes in the shift's thread, if it has one
+          announcements: [{
+            type: 'swap_confirmation',
+            swap,
+            engineers: rotationData.currentEngineers,
+            thread: shift ? shift.thread : null,
+            end: shift ? shift.end : null
+          }]
+        };
+      }
+
+      const swap = declineSwap(rotationData, action.value, userId);
+      const who = userId === swap.requester ? `<@${swap.requester}> cancelled` : `<@${swap.target}> declined`;
+      return { changed: true, message: { text: `:x: ${who} the swap.` } };
+    } catch (error) {
+      // Tell only the person who clicked, and leave the request in place
+      return { changed: false, message: ephemeral(error.message), replaceOriginal: false };
+    }
+  }
+
+  if (action.action_id === 'remove_non_working_days') {
+    removeNonWorkingDays(rotationData, userId, [action.value]);
+    return { changed: true, message: buildListMessage(rotationData, userId, `Removed ${action.value}.`) };
+  }
+
+  if (action.action_id === 'clear_non_working_days') {
+    clearNonWorkingDays(rotationData, userId);
+    return { changed: true, message: buildListMessage(rotationData, userId, 'Cleared all your non-working days.') };
+  }
+
+  console.warn(`Ignoring unknown Slack action: ${action.action_id}`);
+  return { changed: false, message: null };
+}
+
+/**
+ * Create an HTTP request handler for the Slack app
+ * Slash commands are posted to /slack/commands and interactions to /slack/interactions.
+ * @param {Object} options - Handler options
+ * @param {string} options.signingSecret - Slack app signing secret
+ * @param {Object} options.storage - Rotation data storage from createStorage
+ * @param {Object} [options.slack] - Slack gateway from getSlackGateway, for posting to the channel
+ * @param {string} [options.channelId] - Channel to post swaps to
+ * @param {string} [options.supportUserGroupId] - User group to keep in sync with who's on support after swaps
+ * @param {boolean} [options.setChannelTopic] - Whether to show who's on support in the channel topic after swaps
+ * @param {Object} [options.holidayCalendar] - Holiday calendar from loadHolidayCalendar
+ * @param {Object} [options.scheduleOptions] - Planning options for generateSchedule, to re-plan after changes
+ * @param {Object[]} [options.slots] - The rota's slots, so swaps respect who can fill them
+ * @param {Object} [options.config] - Configuration from loadConfig, to reassign support when someone on it books time off
+ * @returns {Function} Request handler for http.createServer
+ */
+export function createSlackRequestHandler({
+  signingSecret,
+  storage,
+  slack = null,
+  channelId = null,
+  supportUserGroupId = null,
+  setChannelTopic = false,
+  holidayCalendar = null,
+  scheduleOptions = null,
+  slots = null,
+  config = null
+}) {
+  // Where swaps are shown outside the channel post
+  const supportDisplay = { userGroupId: supportUserGroupId, channel: channelId, setTopic: setChannelTopic };
+
+  // Save changes, re-planning the upcoming rotations first
+  const saveChanges = rotationData => {
+    if (scheduleOptions) {
+      refreshSchedule(rotationData, rotationData.rotationOrder, scheduleOptions);
+    }
+    storage.saveRotationData(rotationData);
+  };
+
+  return async (req, res) => {
+    try {
+      if (req.method !== 'POST') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+      }
+
+      const body = await readBody(req);
+      if (body === null) {
+        return sendJson(res, 413, { error: 'Request body too large' });
+      }
+
+      if (!verifySlackSignature(signingSecret, req.headers, body)) {
+        console.warn('Rejected Slack request with an invalid signature');
+        return sendJson(res, 401, { error: 'Invalid signature' });
+      }
+
+      const params = new URLSearchParams(body);
+      const rotationData = storage.loadRotationData();
+
+      if (req.url === '/slack/commands') {
+        const command = Object.fromEntries(params);
+        const { changed, message, announcements = [] } = command.command === SWAP_COMMAND
+          ? handleSwapCommand(rotationData, command, holidayCalendar, slots, scheduleOptions ? scheduleOptions.minCoverage : 1)
+          : handleSlashCommand(rotationData, command);
+        if (changed) {
+          saveChanges(rotationData);
+        }
+        sendJson(res, 200, message);
+        await announce(announcements, slack, channelId, supportDisplay);
+
+        // Someone on support who's now off hands over, as when availability changes from the CLI
+        if (changed && config && command.command !== SWAP_COMMAND) {
+          await checkAndReassignIfNeeded(rotationData, command.user_id, holidayCalendar, storage, config);
+        }
+        return;
+      }
+
+      if (req.url === '/slack/interactions') {
+        const payload = JSON.parse(params.get('payload') || '{}');
+        const { changed, message, replaceOriginal = true, announcements = [] } = handleInteraction(rotationData, payload);
+        if (changed) {
+          saveChanges(rotationData);
+        }
+
+        // Acknowledge straight away; Slack only accepts message updates through the response URL
+        sendJson(res, 200, {});
+        if (message && payload.response_url) {
+          await fetch(payload.response_url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...message, replace_original: replaceOriginal })
+          });
+        }
+        await announce(announcements, slack, channelId, supportDisplay);
+        return;
+      }
+
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (error instanceof StorageConflictError && !res.headersSent) {
+        // Someone else changed the rota at the same moment, so nothing was saved
+        console.warn(error.message);
+        return sendJson(res, 200, ephemeral('The support rota was changed by someone else at the same time. Please try again.'));
+      }
+
+      console.error('Error handling Slack request:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal error' });
+      }
+    }
+  };
+}
+
+/**
+ * Post announcements to the channel, or log them when Slack is disabled
+ * @param {Object[]} announcements - Announcements from the command and interaction handlers
+ * @param {Object|null} slack - Slack gateway from getSlackGateway, or null when Slack is disabled
+ * @param {string|null} channelId - Channel to post to
+ * @param {Object} supportDisplay - Support user group and channel topic to update after swaps, for showWhoIsOnSupport
+ */
+async function announce(announcements, slack, channelId, supportDisplay) {
+  for (const announcement of announcements) {
+    if (announcement.type === 'swap_request') {
+      if (slack) {
+        await postSwapRequest(slack, channelId, announcement.swap);
+      } else {
+        console.log(`Slack is disabled. Swap request: ${buildSwapRequestMessage(announcement.swap).text}`);
+      }
+    } else if (announcement.type === 'swap_confirmation') {
+      if (slack) {
+        await postSwapConfirmation(slack, channelId, announcement.swap, announcement.engineers, announcement.thread);
+        await showWhoIsOnSupport(slack, supportDisplay, announcement.engineers, announcement.end);
+      } else {
+        console.log(`Slack is disabled. Swap accepted: ${announcement.swap.target} in for ${announcement.swap.requester}`);
+      }
+    }
+  }
+}
+
+/**
+ * Build the list of a user's non-working days, with a button to remove each one
+ * @param {Object} rotationData - Current rotation data
+ * @param {string} userId - User ID
+ * @param {string} [notice] - Optional line to show above the list
+ * @returns {Object} Ephemeral Slack message
+ */
+function buildListMessage(rotationData, userId, notice = null) {
+  const config = rotationData.nonWorkingDays ? rotationData.nonWorkingDays[userId] : null;
+  const lines = describeNonWorkingDays(rotationData, userId);
+  const heading = notice ? `${notice}\n*Your non-working days*` : '*Your non-working days*';
+
+  if (!config || lines.length === 0) {
+    return ephemeral(`${heading}\nYou don't have any non-working days set.`);
+  }
+
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: heading } }];
+  const removable = [
+    ...config.recurringDays.map(day => ({ text: `Every ${day.replace(':', ' ')}`, value: day })),
+    ...config.specificDates.map(date => ({ text: date, value: date })),
+    ...config.ranges.map(range => ({
+      text: `${range.start} to ${range.end}${range.label ? ` (${range.label})` : ''}`,
+      value: `${range.start}..${range.end}`
+    }))
+  ];
+
+  for (const item of removable) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: item.text },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Remove' },
+        action_id: 'remove_non_working_days',
+        value: item.value
+      }
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      text: { type: 'plain_text', text: 'Clear all' },
+      style: 'danger',
+      action_id: 'clear_non_working_days',
+      value: 'all'
+    }]
+  });
+
+  return { response_type: 'ephemeral', text: `${heading}\n${lines.join('\n')}`, blocks };
+}
+
+/**
+ * Split slash command words into day entries and a trailing label
+ * @param {string[]} words - Words after the command
+ * @returns {Object} { days, label }
+ */
+function parseDaysAndLabel(words) {
+  const days = [];
+  let index = 0;
+
+  // Leading words that are days, dates or ranges (optionally comma-separated) are the days
+  for (; index < words.length; index++) {
+    const entries = words[index].split(',').map(d => d.trim()).filter(Boolean);
+    if (entries.length === 0 || !entries.every(isValidNonWorkingDay)) {
+      break;
+    }
+    days.push(...entries);
+  }
+
+  const label = words.slice(index).join(' ').trim();
+  return { days, label: label || null };
+}
+
+/**
+ * Build an ephemeral Slack message
+ * @param {string} text - Message text
+ * @returns {Object} Slack message
+ */
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+/**
+ * Read the raw body of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string|null>} Request body, or null if it's over MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      size += Buffer.byteLength(chunk);
+      if (size > MAX_BODY_BYTES) {
+        // Stop keeping the body, but let the rest of it drain so the response can be sent
+        req.removeAllListeners('data');
+        req.resume();
+        resolve(null);
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
@@ -0,0 +1,133 @@
+import { WebClient, WebClientEvent, LogLevel } from '@slack/web-api';
+
+/**
+ * Gateway to the Slack Web API
+ * Every call goes through one shared client, which keeps no more than a few requests in flight,
+ * waits out rate limits (429 responses) for as long as Slack's Retry-After header says and then retries,
+ * and retries network errors a few times. Point slackApiUrl at a fake server to try the bot without Slack
+ * (see src/fakeSlackApi.js).
+ */
+
+// Gateways already made, so everything in a run shares one client per token
+const gateways = new Map();
+
+/**
+ * Get the shared gateway for a configuration, creating it the first time
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object} Gateway from createSlackGateway
+ */
+export function getSlackGateway(config) {
+  const key = `${config.slackApiUrl}\n${config.slackToken}`;
+
+  if (!gateways.has(key)) {
+    gateways.set(key, createSlackGateway({
+      token: config.slackToken,
+      slackApiUrl: config.slackApiUrl,
+      maxConcurrency: config.slackMaxConcurrency,
+      retries: config.slackRetries
+    }));
+  }
+
+  return gateways.get(key);
+}
+
+/**
+ * Create a gateway to the Slack Web API
+ * @param {Object} options - Options
+ * @param {string} options.token - Slack API token
+ * @param {string} options.slackApiUrl - Web API base URL (SLACK_API_URL, see loadConfig)
+ * @param {number} options.maxConcurrency - Most requests in flight at once (SLACK_MAX_CONCURRENCY)
+ * @param {number} options.retries - Times to retry a rate-limited or failed request (SLACK_RETRIES)
+ * @returns {Object} Gateway: { client, resolveUserGroupId, resolveChannelId, lookUpUsers }
+ */
+export function createSlackGateway({ token, slackApiUrl, maxConcurrency, retries }) {
+  const client = new WebClient(token, {
+    slackApiUrl,
+    maxRequestConcurrency: maxConcurrency,
+    retryConfig: { retries, factor: 2, minTimeout: 1000, maxTimeout: 30 * 1000 },
+    rejectRateLimitedCalls: false,
+    logLevel: LogLevel.ERROR
+  });
+
+  client.on(WebClientEvent.RATE_LIMITED, (seconds, { url }) => {
+    console.warn(`Slack rate limited ${url}; waiting ${seconds}s before retrying`);
+  });
+
+  // User group handles and channel names don't change, so look them up once
+  let userGroupIds = null;
+  let channelIds = null;
+
+  return {
+    client,
+
+    /**
+     * Get a user group's ID from its handle (e.g. cas-engineers) or ID
+     * @param {string} userGroup - Handle or ID (without the @)
+     * @returns {Promise<string>} User group ID
+     */
+    async resolveUserGroupId(userGroup) {
+      if (/^S[A-Z0-9]+$/.test(userGroup)) {
+        return userGroup;
+      }
+
+      if (!userGroupIds) {
+        const response = await client.usergroups.list();
+        userGroupIds = new Map(response.usergroups.map(group => [group.handle, group.id]));
+      }
+
+      if (!userGroupIds.has(userGroup)) {
+        throw new Error(`User group "${userGroup}" not found`);
+      }
+      return userGroupIds.get(userGroup);
+    },
+
+    /**
+     * Get a channel's ID from its name (e.g. cas-dev) or ID
+     * Some methods, like setting the topic, only take IDs.
+     * @param {string} channel - Name or ID (without the #)
+     * @returns {Promise<string>} Channel ID
+     */
+    async resolveChannelId(channel) {
+      if (/^[CG][A-Z0-9]+$/.test(channel)) {
+        return channel;
+      }
+
+      if (!channelIds) {
+        const found = new Map();
+        for await (const page of client.paginate('conversations.list', { types: 'public_channel,private_channel', exclude_archived: true, limit: 200 })) {
+          for (const { name, id } of page.channels) {
+            found.set(name, id);
+          }
+        }
+        channelIds = found;
+      }
+
+      if (!channelIds.has(channel)) {
+        throw new Error(`Channel "#${channel}" not found`);
+      }
+      return channelIds.get(channel);
+    },
+
+    /**
+     * Look something up for each user, carrying on past failures
+     * @param {string[]} userIds - User IDs
+     * @param {Function} lookUp - Called with the client and a user ID; resolves to the result for that user
+     * @returns {Promise<Object>} { results: map of user IDs to results, failures: [{ userId, error }] }
+     */
+    async lookUpUsers(userIds, lookUp) {
+      const settled = await Promise.allSettled(userIds.map(userId => lookUp(client, userId)));
+      const results = {};
+      const failures = [];
+
+      settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          results[userIds[index]] = outcome.value;
+        } else {
+          failures.push({ userId: userIds[index], error: outcome.reason });
+        }
+      });
+
+      return { results, failures };
+    }
+  };
+}
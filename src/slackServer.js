@@ -0,0 +1,93 @@
+import http from 'http';
+import { createSlackRequestHandler } from './slackCommands.js';
+import { loadHolidayCalendar } from './holidays.js';
+import { createStorage } from './storage.js';
+import { scheduleOptionsFromConfig } from './schedule.js';
+import { loadConfig, loadRotaConfigs, checkConfig } from './config.js';
+import { getSlackGateway } from './slackGateway.js';
+
+// Settings only the Slack app needs; everything else comes from loadConfig, as for the CLI
+const SERVER_CONFIG = {
+  signingSecret: process.env.SLACK_SIGNING_SECRET, // Used to verify requests come from Slack
+  port: parseInt(process.env.PORT || '3000', 10), // Port to listen on
+  rota: process.env.ROTA || undefined, // Rota to serve, when ROTAS_PATH lists several
+  allowFileStorage: process.env.SLACK_APP_FILE_STORAGE === 'true' // Use a local data file anyway, e.g. to try the app out
+};
+
+async function main() {
+  try {
+    if (!SERVER_CONFIG.signingSecret) {
+      throw new Error('SLACK_SIGNING_SECRET is required');
+    }
+
+    const config = selectRota(loadRotaConfigs(loadConfig(process.env)), SERVER_CONFIG.rota);
+    checkConfig(config);
+
+    // The workflows only see the data file committed to the repository, so changes the app saved
+    // to its own copy would never reach them, and would be lost when the host is redeployed
+    if (config.storageBackend === 'file' && !SERVER_CONFIG.allowFileStorage) {
+      throw new Error('The Slack app needs STORAGE_BACKEND=sqlite, shared with the daily run on the same host. ' +
+        'Set SLACK_APP_FILE_STORAGE=true to use a local data file anyway, e.g. to try it out');
+    }
+
+    // Load the team's bank holidays
+    const holidayCalendar = loadHolidayCalendar(config.holidayCalendars, config.holidayRegion);
+
+    const storage = await createStorage({
+      backend: config.storageBackend,
+      dataPath: config.dataPath,
+      archivePath: config.archivePath,
+      sqlitePath: config.sqlitePath
+    });
+
+    const server = http.createServer(createSlackRequestHandler({
+      signingSecret: SERVER_CONFIG.signingSecret,
+      storage,
+      slack: config.slackEnabled ? getSlackGateway(config) : null,
+      channelId: config.channelId,
+      supportUserGroupId: config.supportUserGroupId,
+      setChannelTopic: config.setChannelTopic,
+      holidayCalendar,
+      scheduleOptions: scheduleOptionsFromConfig(config, holidayCalendar),
+      slots: config.slots,
+      config
+    }));
+
+    server.listen(SERVER_CONFIG.port, () => {
+      console.log(`Slack app listening on port ${SERVER_CONFIG.port}${config.rota ? ` for the ${config.rota} rota` : ''}, using ${storage.location}`);
+    });
+  } catch (error) {
+    console.error('Error starting Slack app:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Pick the rota the Slack app serves
+ * Without a rotas file there's only one; with one, ROTA must name it.
+ * @param {Object[]} rotas - Configuration for each rota, from loadRotaConfigs
+ * @param {string} [name] - Rota chosen with ROTA
+ * @returns {Object} Configuration for the chosen rota
+ * @throws {Error} If ROTA is missing, unknown or set without a rotas file
+ */
+function selectRota(rotas, name) {
+  if (!rotas[0].rota) {
+    if (name !== undefined) {
+      throw new Error('ROTA needs a rotas file (set ROTAS_PATH)');
+    }
+    return rotas[0];
+  }
+
+  const names = rotas.map(r => r.rota).join(', ');
+  if (name === undefined) {
+    throw new Error(`ROTA is required with a rotas file, to choose the rota this app serves. Expected one of: ${names}`);
+  }
+
+  const rota = rotas.find(r => r.rota === name);
+  if (!rota) {
+    throw new Error(`Unknown rota: ${name}. Expected one of: ${names}`);
+  }
+  return rota;
+}
+
+main();
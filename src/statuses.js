@@ -0,0 +1,166 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Slack status rules, deciding who is out of office or off sick
+ * Rules are loaded from a JSON file (config/status-rules.json by default). Each rule has a reason and
+ * matches a status by whole-word keywords, regular expressions or emoji, so "ill" doesn't match "Bill"
+ * or "skills". A status that will have cleared before the shift starts doesn't count.
+ */
+
+export const DEFAULT_STATUS_RULES_PATH = join(dirname(__dirname), 'config', 'status-rules.json');
+
+const EMOJI_PATTERN = /^:[a-z0-9_+-]+:$/;
+
+/**
+ * Load and check status rules
+ * @param {string} [filePath] - Rules file (default: config/status-rules.json)
+ * @returns {Object[]} Rules, ready for classifyStatus: [{ reason, keywords, patterns, emoji }]
+ * @throws {Error} If the file can't be read or a rule is invalid
+ */
+export function loadStatusRules(filePath = DEFAULT_STATUS_RULES_PATH) {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read status rules from ${filePath}: ${error.message}`);
+  }
+
+  const errors = [];
+  if (!contents || !Array.isArray(contents.rules)) {
+    errors.push('rules: must be a list');
+  }
+
+  const rules = (Array.isArray(contents && contents.rules) ? contents.rules : []).map((rule, index) => {
+    const path = `rules[${index}]`;
+    const { reason, keywords = [], patterns = [], emoji = [] } = rule || {};
+
+    if (typeof reason !== 'string' || reason === '') {
+      errors.push(`${path}.reason: must be a name, e.g. out_of_office`);
+    }
+    for (const [field, values] of Object.entries({ keywords, patterns, emoji })) {
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value.trim() === '')) {
+        errors.push(`${path}.${field}: must be a list of strings`);
+      }
+    }
+    if ([keywords, patterns, emoji].every(values => Array.isArray(values) && values.length === 0)) {
+      errors.push(`${path}: needs at least one keyword, pattern or emoji`);
+    }
+
+    const compiled = [];
+    for (const pattern of Array.isArray(patterns) ? patterns : []) {
+      try {
+        compiled.push({ source: pattern, regex: new RegExp(pattern, 'i') });
+      } catch (error) {
+        errors.push(`${path}.patterns: ${JSON.stringify(pattern)} is not a valid regular expression (${error.message})`);
+      }
+    }
+
+    const invalidEmoji = (Array.isArray(emoji) ? emoji : []).filter(name => typeof name === 'string' && !EMOJI_PATTERN.test(name));
+    if (invalidEmoji.length > 0) {
+      errors.push(`${path}.emoji: ${invalidEmoji.join(', ')} should be emoji names like :palm_tree:`);
+    }
+
+    return {
+      reason,
+      keywords: (Array.isArray(keywords) ? keywords : []).map(keyword => ({ source: keyword, regex: keywordPattern(String(keyword)) })),
+      patterns: compiled,
+      emoji: Array.isArray(emoji) ? emoji : []
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Status rules in ${filePath} are invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return rules;
+}
+
+/**
+ * Work out whether a Slack status means someone can't be on support
+ * A status only says someone is out now, and maybe when that ends, so only the start of the shift is checked:
+ * a status still set then rules them out of the whole rotation, even if it clears part way through.
+ * MIN_COVERAGE only relaxes this for non-working days, which say which days someone is out.
+ * @param {Object} [status] - Status from getUserStatuses: { statusText, statusEmoji, statusExpiration }
+ * @param {Object[]} rules - Rules from loadStatusRules
+ * @param {Date} shiftStart - When the shift starts; statuses that clear before then are ignored
+ * @returns {Object|null} { reason, match, detail }, or null if the status doesn't rule them out
+ */
+export function classifyStatus(status, rules, shiftStart) {
+  if (!status) {
+    return null;
+  }
+
+  // Slack gives the expiry in seconds, with 0 for a status that doesn't expire
+  const expiresAt = status.statusExpiration ? new Date(status.statusExpiration * 1000) : null;
+  if (expiresAt && expiresAt <= shiftStart) {
+    return null;
+  }
+
+  const text = status.statusText || '';
+  const emoji = status.statusEmoji || '';
+
+  for (const rule of rules) {
+    const match = rule.emoji.includes(emoji) ? `emoji ${emoji}`
+      : matchSource(rule.keywords, text, source => `keyword "${source}"`)
+        || matchSource(rule.patterns, text, source => `pattern /${source}/`);
+
+    if (match) {
+      const shown = [emoji, text].filter(Boolean).join(' ');
+      const until = expiresAt ? ` until ${expiresAt.toISOString().replace(/:\d{2}\.\d{3}Z$/, 'Z')}` : '';
+      return { reason: rule.reason, match, detail: `Slack status "${shown}" (${match})${until}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split engineers into those whose statuses leave them free and those ruled out
+ * @param {string[]} engineers - Engineer IDs
+ * @param {Object} statuses - Map of user IDs to Slack statuses, from getUserStatuses
+ * @param {Object[]} rules - Rules from loadStatusRules
+ * @param {Date} shiftStart - When the shift starts
+ * @returns {Object} { available, excluded: [{ userId, reason, detail }] }
+ */
+export function filterByStatus(engineers, statuses, rules, shiftStart) {
+  const available = [];
+  const excluded = [];
+
+  for (const userId of engineers) {
+    const result = classifyStatus(statuses[userId], rules, shiftStart);
+    if (result) {
+      excluded.push({ userId, reason: result.reason, detail: result.detail });
+    } else {
+      available.push(userId);
+    }
+  }
+
+  return { available, excluded };
+}
+
+/**
+ * Build a case-insensitive regular expression matching a keyword as whole words
+ * @param {string} keyword - Keyword or phrase, e.g. "out of office"
+ * @returns {RegExp} Pattern
+ */
+function keywordPattern(keyword) {
+  const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Find the first pattern that matches some text
+ * @param {Object[]} candidates - Patterns: [{ source, regex }]
+ * @param {string} text - Text to search
+ * @param {Function} describe - Describes the matching pattern's source
+ * @returns {string|null} Description of the match, or null
+ */
+function matchSource(candidates, text, describe) {
+  const found = candidates.find(candidate => candidate.regex.test(text));
+  return found ? describe(found.source) : null;
+}
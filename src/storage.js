@@ -1,72 +1,316 @@
 import fs from 'fs';
 import path from 'path';
+import { SCHEMA_VERSION, migrateRotationData, validateRotationData } from './schema.js';
+import { formatDiff } from './diff.js';
 
 /**
- * Load rotation data from a JSON file
- * @param {string} filePath - Path to the rotation data file
- * @returns {Object} Rotation data
+ * Storage backends for the rotation data
+ * file: a JSON file, committed back to the repository by the workflows
+ * sqlite: a SQLite database, for long-running hosts such as the Slack app (needs Node 22.13+)
  */
-export function loadRotationData(filePath) {
+export const STORAGE_BACKENDS = ['file', 'sqlite'];
+
+/**
+ * Thrown when the rotation data was changed by someone else since it was loaded
+ */
+export class StorageConflictError extends Error {
+  constructor(expectedRevision, actualRevision) {
+    super(`Rotation data was changed by another run since it was loaded (expected revision ${expectedRevision}, found ${actualRevision}). Reload and try again.`);
+    this.name = 'StorageConflictError';
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+/**
+ * Create empty rotation data
+ * @returns {Object} Default rotation data
+ */
+export function createDefaultRotationData() {
+  return {
+    rotationOrder: [],
+    currentEngineers: [],
+    skipList: [],
+    history: [],
+    lastRotationDate: null,
+    nonWorkingDays: {},
+    holidayRegions: {},
+    pendingSwaps: [],
+    newStarters: [],
+    tags: {},
+    notificationPreferences: {},
+    lastReminderDate: null,
+    schemaVersion: SCHEMA_VERSION,
+    revision: 0
+  };
+}
+
+/**
+ * Create the storage for the rotation data and the non-working days archive.
+ * Rotation data carries a revision number. Saving checks the stored revision still matches the one
+ * that was loaded, so concurrent runs can't silently overwrite each other's changes.
+ * @param {Object} options - Storage options
+ * @param {string} [options.backend] - One of STORAGE_BACKENDS (default: 'file')
+ * @param {string} [options.dataPath] - Rotation data file, for the file backend
+ * @param {string} [options.archivePath] - Non-working days archive file, for the file backend
+ * @param {string} [options.sqlitePath] - Database file, for the sqlite backend
+ * @returns {Promise<Object>} Storage: { backend, location, loadRotationData, saveRotationData, loadArchiveData, saveArchiveData, close }
+ */
+export async function createStorage({ backend = 'file', dataPath, archivePath, sqlitePath }) {
+  if (backend === 'file') {
+    return createFileStorage(dataPath, archivePath);
+  }
+
+  if (backend === 'sqlite') {
+    return createSqliteStorage(sqlitePath);
+  }
+
+  throw new Error(`Unknown storage backend: ${backend}. Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+/**
+ * Wrap storage so nothing is written: each save prints a diff of what would have changed instead
+ * Later loads in the same run see the unsaved changes.
+ * @param {Object} storage - Storage from createStorage
+ * @returns {Object} Storage with the same interface
+ */
+export function createDryRunStorage(storage) {
+  // What each document would hold by now, starting from what's stored
+  const current = {};
+  const documents = {
+    rotation: { label: storage.location, load: () => storage.loadRotationData() },
+    archive: { label: 'non-working days archive', load: () => storage.loadArchiveData() }
+  };
+
+  const load = name => {
+    if (!current[name]) {
+      current[name] = documents[name].load();
+    }
+    return structuredClone(current[name]);
+  };
+
+  const save = (name, data) => {
+    const { label } = documents[name];
+    const diff = formatDiff(JSON.stringify(load(name), null, 2), JSON.stringify(data, null, 2), { label });
+    current[name] = structuredClone(data);
+    console.log(diff ? `Dry run: not saving ${label}. Changes:\n${diff}` : `Dry run: no changes to ${label}`);
+  };
+
+  return {
+    ...storage,
+    loadRotationData: () => load('rotation'),
+    saveRotationData: data => save('rotation', data),
+    loadArchiveData: () => load('archive'),
+    saveArchiveData: data => save('archive', data)
+  };
+}
+
+/**
+ * Create storage backed by JSON files
+ * @param {string} dataPath - Rotation data file
+ * @param {string} archivePath - Non-working days archive file
+ * @returns {Object} Storage
+ */
+function createFileStorage(dataPath, archivePath) {
+  return {
+    backend: 'file',
+    location: dataPath,
+
+    loadRotationData() {
+      const data = readJsonFile(dataPath, 'Rotation data');
+      if (!data) {
+        return createDefaultRotationData();
+      }
+      return checkRotationData({ ...data, revision: data.revision || 0 }, dataPath);
+    },
+
+    saveRotationData(data) {
+      // Refuses to overwrite a corrupted file, so it can be restored from git history
+      const current = readJsonFile(dataPath, 'Rotation data');
+      const currentRevision = current ? current.revision || 0 : 0;
+      const expectedRevision = data.revision || 0;
+
+      if (currentRevision !== expectedRevision) {
+        throw new StorageConflictError(expectedRevision, currentRevision);
+      }
+
+      writeJsonFileAtomically(dataPath, { ...data, revision: expectedRevision + 1 });
+      data.revision = expectedRevision + 1;
+      console.log(`Rotation data saved to ${dataPath}`);
+    },
+
+    loadArchiveData() {
+      return readJsonFile(archivePath, 'Non-working days archive') || {};
+    },
+
+    saveArchiveData(data) {
+      readJsonFile(archivePath, 'Non-working days archive');
+      writeJsonFileAtomically(archivePath, data);
+      console.log(`Non-working days archive saved to ${archivePath}`);
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Create storage backed by a SQLite database
+ * Each document (the rotation data and the archive) is one row of JSON with its revision.
+ * @param {string} sqlitePath - Database file
+ * @returns {Promise<Object>} Storage
+ */
+async function createSqliteStorage(sqlitePath) {
+  let DatabaseSync;
   try {
-    // Check if the file exists
-    if (!fs.existsSync(filePath)) {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch (error) {
+    throw new Error(`The sqlite storage backend needs Node 22.13 or later (running ${process.version})`);
+  }
+
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+  const db = new DatabaseSync(sqlitePath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      revision INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  const selectDocument = db.prepare('SELECT revision, data FROM documents WHERE name = ?');
+  const upsertDocument = db.prepare(`
+    INSERT INTO documents (name, revision, data, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET revision = excluded.revision, data = excluded.data, updated_at = excluded.updated_at
+  `);
+
+  const readDocument = (name, description) => {
+    const row = selectDocument.get(name);
+    if (!row) {
+      return null;
+    }
+    try {
+      return { revision: row.revision, data: JSON.parse(row.data) };
+    } catch (error) {
+      throw new Error(`${description} in ${sqlitePath} is corrupted (${error.message}). Refusing to continue until it is fixed or restored.`);
+    }
+  };
+
+  // Check the revision and write in one transaction, so another process can't save in between
+  const writeDocument = (name, description, data, expectedRevision = null) => {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const current = readDocument(name, description);
+      const currentRevision = current ? current.revision : 0;
+
+      if (expectedRevision !== null && currentRevision !== expectedRevision) {
+        throw new StorageConflictError(expectedRevision, currentRevision);
       }
 
-      // Create default rotation data
-      const defaultData = {
-        rotationOrder: [],
-        currentEngineers: [],
-        skipList: [],
-        history: [],
-        lastRotationDate: null,
-        nonWorkingDays: {}
-      };
-
-      // Save default data
-      fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
-      return defaultData;
+      upsertDocument.run(name, currentRevision + 1, JSON.stringify(data), new Date().toISOString());
+      db.exec('COMMIT');
+      return currentRevision + 1;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
     }
+  };
 
-    // Read and parse the file
-    const data = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading rotation data:', error);
-
-    // Return default data in case of error
-    return {
-      rotationOrder: [],
-      currentEngineers: [],
-      skipList: [],
-      history: [],
-      lastRotationDate: null,
-      nonWorkingDays: {}
-    };
+  return {
+    backend: 'sqlite',
+    location: sqlitePath,
+
+    loadRotationData() {
+      const document = readDocument('rotation', 'Rotation data');
+      if (!document) {
+        return createDefaultRotationData();
+      }
+      return checkRotationData({ ...document.data, revision: document.revision }, sqlitePath);
+    },
+
+    saveRotationData(data) {
+      const { revision = 0, ...rest } = data;
+      data.revision = writeDocument('rotation', 'Rotation data', rest, revision);
+      console.log(`Rotation data saved to ${sqlitePath}`);
+    },
+
+    loadArchiveData() {
+      const document = readDocument('non-working-days-archive', 'Non-working days archive');
+      return document ? document.data : {};
+    },
+
+    saveArchiveData(data) {
+      writeDocument('non-working-days-archive', 'Non-working days archive', data);
+      console.log(`Non-working days archive saved to ${sqlitePath}`);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Upgrade loaded rotation data to the current schema and validate it
+ * @param {Object} data - Rotation data as loaded
+ * @param {string} location - Where it was loaded from, for messages
+ * @returns {Object} Rotation data at the current schema version
+ */
+function checkRotationData(data, location) {
+  // Upgraded data is written back at the new version on the next save
+  for (const migration of migrateRotationData(data)) {
+    console.log(`Migrated rotation data in ${location} to schema version ${migration}`);
+  }
+
+  const { errors, warnings } = validateRotationData(data);
+
+  for (const warning of warnings) {
+    console.warn(`Rotation data in ${location}: ${warning}`);
   }
+
+  if (errors.length > 0) {
+    throw new Error(`Rotation data in ${location} is invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return data;
 }
 
 /**
- * Save rotation data to a JSON file
- * @param {string} filePath - Path to the rotation data file
- * @param {Object} data - Rotation data to save
+ * Read a JSON file
+ * @param {string} filePath - Path to the file
+ * @param {string} description - What the file holds, for error messages
+ * @returns {Object|null} Parsed contents, or null if the file doesn't exist
  */
-export function saveRotationData(filePath, data) {
-  try {
-    // Create directory if it doesn't exist
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+function readJsonFile(filePath, description) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
 
-    // Write data to file
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    console.log(`Rotation data saved to ${filePath}`);
+  const contents = fs.readFileSync(filePath, 'utf8');
+  try {
+    return JSON.parse(contents);
   } catch (error) {
-    console.error('Error saving rotation data:', error);
-    throw error;
+    throw new Error(`${description} in ${filePath} is corrupted (${error.message}). Refusing to continue until it is fixed or restored.`);
+  }
+}
+
+/**
+ * Write a JSON file by writing a temporary file next to it and renaming it into place,
+ * so a crash part way through never leaves a half-written file
+ * @param {string} filePath - Path to the file
+ * @param {Object} data - Data to write
+ */
+function writeJsonFileAtomically(filePath, data) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.tmp`);
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
   }
-}
\ No newline at end of file
+  fs.renameSync(tempPath, filePath);
+}
@@ -0,0 +1,166 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'cli.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(join(os.tmpdir(), 'support-bot-cli-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI as the workflows do, against rotation data in the test's folder
+ * @param {string[]} args - Command line arguments
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Object} { status, stdout, stderr }
+ */
+function runCli(args, env = {}) {
+  const result = spawnSync(process.execPath, [CLI_PATH, ...args], {
+    encoding: 'utf8',
+    env: {
+      PATH: process.env.PATH,
+      SLACK_ENABLED: 'false',
+      DATA_PATH: join(dir, 'rotation.json'),
+      ...env
+    }
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function readData(name = 'rotation.json') {
+  return JSON.parse(fs.readFileSync(join(dir, name), 'utf8'));
+}
+
+test('shows the usage and exits 0 for --help', () => {
+  const result = runCli(['--help']);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /Usage: support-bot <command>/);
+});
+
+test('exits 2 with the usage when no command is given', () => {
+  const result = runCli([]);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /No command given/);
+  assert.match(result.stderr, /Usage: support-bot <command>/);
+});
+
+test('exits 2 for an unknown command or option', () => {
+  assert.equal(runCli(['rotat']).status, 2);
+  assert.equal(runCli(['status', '--bogus']).status, 2);
+});
+
+test('exits 2 with the availability usage for an invalid availability command', () => {
+  const noDays = runCli(['availability', 'add', 'U123']);
+  assert.equal(noDays.status, 2);
+  assert.match(noDays.stderr, /needs at least one day/);
+  assert.match(noDays.stderr, /Usage: support-bot availability/);
+
+  assert.equal(runCli(['availability', 'add', 'someone', '2026-12-24']).status, 2);
+  assert.equal(runCli(['availability', 'add', 'U123', '2026-13-45']).status, 2);
+  assert.equal(runCli(['availability', 'clear', 'U123', '--recurring', '--dates']).status, 2);
+});
+
+test('exits 2 for an invalid history limit', () => {
+  const result = runCli(['history', '--limit', '0']);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /--limit must be a positive whole number/);
+});
+
+test('adds, lists and removes non-working days', () => {
+  assert.equal(runCli(['availability', 'add', 'U123', '2026-12-24,friday:pm', '--label', 'leave']).status, 0);
+
+  let data = readData();
+  assert.deepEqual(data.nonWorkingDays.U123.ranges, [{ start: '2026-12-24', end: '2026-12-24', label: 'leave' }]);
+  assert.deepEqual(data.nonWorkingDays.U123.recurringDays, ['friday:pm']);
+
+  const list = runCli(['availability', 'list', 'U123']);
+  assert.equal(list.status, 0);
+  assert.match(list.stdout, /2026-12-24 \(leave\)/);
+
+  assert.equal(runCli(['availability', 'remove', 'U123', '2026-12-24']).status, 0);
+  data = readData();
+  assert.deepEqual(data.nonWorkingDays.U123.ranges, []);
+});
+
+test('tags engineers and turns off their direct messages', () => {
+  assert.equal(runCli(['engineers', 'tag', 'U123', 'CAS1']).status, 0);
+  assert.equal(runCli(['engineers', 'dms-off', 'U123']).status, 0);
+
+  const data = readData();
+  assert.deepEqual(data.tags.U123, ['cas1']);
+  assert.equal(data.notificationPreferences.U123.directMessages, false);
+});
+
+test('does not save anything with --dry-run', () => {
+  assert.equal(runCli(['availability', 'add', 'U123', '2026-12-24', '--dry-run']).status, 0);
+  assert.equal(fs.existsSync(join(dir, 'rotation.json')), false);
+});
+
+test('shows the status and history', () => {
+  const status = runCli(['status']);
+  assert.equal(status.status, 0);
+  assert.match(status.stdout, /On support: nobody/);
+
+  const history = runCli(['history']);
+  assert.equal(history.status, 0);
+  assert.match(history.stdout, /No rotations yet/);
+});
+
+test('exits 1 when the command fails', () => {
+  const result = runCli(['status'], { MIN_COVERAGE: '2' });
+  assert.equal(result.status, 0, 'status does not need the rotation settings');
+
+  const rotate = runCli(['rotate'], { MIN_COVERAGE: '2' });
+  assert.equal(rotate.status, 1);
+  assert.match(rotate.stderr, /MIN_COVERAGE/);
+});
+
+test('runs every rota, and exits 1 if any of them failed', () => {
+  const rotasPath = join(dir, 'rotas.json');
+  fs.writeFileSync(rotasPath, JSON.stringify({
+    rotas: [
+      { name: 'broken', minCoverage: 2, dataPath: join(dir, 'broken.json') },
+      { name: 'frontend', dataPath: join(dir, 'frontend.json') }
+    ]
+  }));
+
+  const result = runCli(['engineers', 'tag', 'U123', 'cas1'], { ROTAS_PATH: rotasPath });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Error in rota broken/);
+  assert.deepEqual(readData('frontend.json').tags.U123, ['cas1']);
+  assert.equal(fs.existsSync(join(dir, 'broken.json')), false);
+
+  const one = runCli(['engineers', 'tag', 'U123', 'cas1', '--rota', 'frontend'], { ROTAS_PATH: rotasPath });
+  assert.equal(one.status, 0);
+
+  assert.equal(runCli(['status', '--rota', 'backend'], { ROTAS_PATH: rotasPath }).status, 2);
+});
+
+test('exports the calendars for each rota, and exits 1 if any of them failed', () => {
+  const rotasPath = join(dir, 'rotas.json');
+  fs.writeFileSync(rotasPath, JSON.stringify({
+    rotas: [
+      { name: 'broken', minCoverage: 2, dataPath: join(dir, 'broken.json') },
+      { name: 'frontend', dataPath: join(dir, 'frontend.json') }
+    ]
+  }));
+
+  const output = join(dir, 'calendars');
+  const result = runCli(['calendars', '--output', output], { ROTAS_PATH: rotasPath });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Error in rota broken/);
+  assert.ok(fs.existsSync(join(output, 'frontend', 'team.ics')));
+  assert.equal(fs.existsSync(join(output, 'broken')), false);
+
+  assert.equal(runCli(['calendars', 'extra']).status, 2);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig, checkConfig } from '../src/config.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+test('finds the holiday calendars relative to the repository, unless the path is absolute', () => {
+  const config = loadConfig({ HOLIDAY_CALENDARS: 'data/bank-holidays.json, /etc/holidays/team.ics' });
+  assert.deepEqual(config.holidayCalendars, [join(ROOT_DIR, 'data', 'bank-holidays.json'), '/etc/holidays/team.ics']);
+});
+
+test('accepts the default settings', () => {
+  assert.doesNotThrow(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false' })));
+});
+
+test('rejects rotation settings that are not positive whole numbers', () => {
+  for (const value of ['0', '-1', 'two']) {
+    assert.throws(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', DAYS_PER_ROTATION: value })), /DAYS_PER_ROTATION/);
+    assert.throws(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', ENGINEERS_PER_SHIFT: value })), /ENGINEERS_PER_SHIFT/);
+  }
+});
+
+test('rejects an unknown selection mode', () => {
+  assert.throws(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', SELECTION_MODE: 'random' })), /Unknown SELECTION_MODE: random/);
+  assert.doesNotThrow(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', SELECTION_MODE: 'fairness' })));
+});
+
+test('rejects an unknown holiday region, but accepts the short names', () => {
+  assert.throws(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', HOLIDAY_REGION: 'england-and-walse' })), /Unknown HOLIDAY_REGION/);
+  assert.doesNotThrow(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', HOLIDAY_REGION: 'scotland' })));
+  assert.doesNotThrow(() => checkConfig(loadConfig({ SLACK_ENABLED: 'false', HOLIDAY_REGION: 'NI' })));
+});
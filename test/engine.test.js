@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRotation, applyDecision, needsReassignment } from '../src/engine.js';
+import { createDefaultRotationData } from '../src/storage.js';
+import { loadConfig } from '../src/config.js';
+
+const ENGINEERS = ['U1', 'U2', 'U3', 'U4'];
+
+// Wednesday 14 October 2026, at the time of the daily run
+const WEDNESDAY = new Date('2026-10-14T08:30:00Z');
+const FRIDAY = new Date('2026-10-16T08:30:00Z');
+const SATURDAY = new Date('2026-10-17T08:30:00Z');
+
+const config = loadConfig({ SLACK_ENABLED: 'false' });
+
+function createData(changes = {}) {
+  return { ...createDefaultRotationData(), rotationOrder: [...ENGINEERS], ...changes };
+}
+
+function onLeave(start, end = start) {
+  return { specificDates: [], recurringDays: [], ranges: [{ start, end, label: 'leave' }] };
+}
+
+test('assigns the first engineers in the rotation order when there has been no rotation', () => {
+  const decision = planRotation({ now: WEDNESDAY, engineers: ENGINEERS, data: createData(), config });
+
+  assert.equal(decision.action, 'assign');
+  assert.deepEqual(decision.engineers, ['U1', 'U2']);
+  assert.deepEqual(decision.shift, { start: '2026-10-14', end: '2026-10-15', daysRemaining: 2 });
+});
+
+test('runs a shift over the weekend', () => {
+  const decision = planRotation({ now: FRIDAY, engineers: ENGINEERS, data: createData(), config });
+
+  assert.deepEqual(decision.shift, { start: '2026-10-16', end: '2026-10-19', daysRemaining: 2 });
+});
+
+test('waits until the current rotation has run its course', () => {
+  const data = createData({ currentEngineers: ['U1', 'U2'], lastRotationDate: '2026-10-13T08:30:00.000Z' });
+
+  const decision = planRotation({ now: WEDNESDAY, engineers: ENGINEERS, data, config });
+  assert.equal(decision.action, 'none');
+  assert.equal(decision.reason, 'not_due');
+  assert.equal(decision.daysSinceLastRotation, 1);
+
+  const due = planRotation({ now: new Date('2026-10-15T08:30:00Z'), engineers: ENGINEERS, data, config });
+  assert.equal(due.action, 'assign');
+});
+
+test('does not start a rotation on a weekend, unless it is forced', () => {
+  const scheduled = planRotation({ now: SATURDAY, engineers: ENGINEERS, data: createData(), config });
+  assert.equal(scheduled.reason, 'non_working_day');
+
+  const forced = planRotation({ now: SATURDAY, engineers: ENGINEERS, data: createData(), config, trigger: 'force' });
+  assert.equal(forced.action, 'assign');
+  assert.equal(forced.shift.start, '2026-10-19');
+});
+
+test('leaves out engineers who are off during the rotation or whose status says they are out', () => {
+  const data = createData({ nonWorkingDays: { U1: onLeave('2026-10-15') } });
+  const statuses = { U2: { statusText: 'Out of office', statusEmoji: '', statusExpiration: 0 } };
+
+  const decision = planRotation({ now: WEDNESDAY, engineers: ENGINEERS, statuses, data, config });
+
+  assert.deepEqual(decision.engineers, ['U3', 'U4']);
+  assert.deepEqual(decision.availability.excluded.map(e => [e.userId, e.reason]), [
+    ['U2', 'out_of_office'],
+    ['U1', 'non_working_days']
+  ]);
+});
+
+test('escalates when too few engineers are available', () => {
+  const nonWorkingDays = Object.fromEntries(ENGINEERS.map(id => [id, onLeave('2026-10-14', '2026-10-20')]));
+  const data = createData({ nonWorkingDays });
+
+  const decision = planRotation({ now: WEDNESDAY, engineers: ENGINEERS, data, config });
+  assert.equal(decision.action, 'escalate');
+  assert.equal(decision.reason, 'all_non_working');
+
+  const none = planRotation({ now: WEDNESDAY, engineers: [], data: createData(), config });
+  assert.equal(none.reason, 'no_engineers');
+});
+
+test('does not change the data it plans from, until the decision is applied', () => {
+  const data = createData();
+  const before = structuredClone(data);
+
+  const decision = planRotation({ now: WEDNESDAY, engineers: ENGINEERS, data, config });
+  assert.deepEqual(data, before);
+
+  applyDecision(data, decision, WEDNESDAY);
+  assert.deepEqual(data.currentEngineers, ['U1', 'U2']);
+  assert.equal(data.lastRotationDate, WEDNESDAY.toISOString());
+  assert.equal(data.history[data.history.length - 1].end, '2026-10-15');
+});
+
+test('reassigns when someone on support is now off today or on the next working day', () => {
+  const data = createData({ currentEngineers: ['U1', 'U2'] });
+
+  data.nonWorkingDays = { U1: onLeave('2026-10-14') };
+  assert.equal(needsReassignment(data, 'U1', WEDNESDAY), true);
+
+  data.nonWorkingDays = { U1: onLeave('2026-10-15') };
+  assert.equal(needsReassignment(data, 'U1', WEDNESDAY), true);
+
+  data.nonWorkingDays = { U1: onLeave('2026-10-16') };
+  assert.equal(needsReassignment(data, 'U1', WEDNESDAY), false);
+
+  // On a Friday, the next working day is Monday
+  data.nonWorkingDays = { U1: onLeave('2026-10-19') };
+  assert.equal(needsReassignment(data, 'U1', FRIDAY), true);
+});
+
+test('does not reassign when the change is for someone not on support', () => {
+  const data = createData({ currentEngineers: ['U1', 'U2'], nonWorkingDays: { U3: onLeave('2026-10-14') } });
+  assert.equal(needsReassignment(data, 'U3', WEDNESDAY), false);
+
+  const decision = planRotation({
+    now: WEDNESDAY,
+    engineers: ENGINEERS,
+    data,
+    config,
+    trigger: 'availability_change',
+    userId: 'U3'
+  });
+  assert.equal(decision.reason, 'not_affected');
+});
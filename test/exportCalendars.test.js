@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { exportCalendars } from '../src/exportCalendars.js';
+import { planRotation, applyDecision } from '../src/engine.js';
+import { createStorage } from '../src/storage.js';
+import { loadConfig } from '../src/config.js';
+import { createFakeSlackApi } from '../src/fakeSlackApi.js';
+
+const ENGINEERS = ['U123456', 'U234567'];
+const WEDNESDAY = new Date('2026-10-14T08:30:00Z');
+
+let dir;
+let server;
+
+beforeEach(async t => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(join(os.tmpdir(), 'support-bot-calendars-'));
+
+  // One shift for the engineers to be named in
+  const config = loadConfig({ SLACK_ENABLED: 'false', DATA_PATH: join(dir, 'rotation.json') });
+  const storage = await createStorage({ backend: 'file', dataPath: config.dataPath, archivePath: config.archivePath });
+  try {
+    const data = { ...storage.loadRotationData(), rotationOrder: [...ENGINEERS] };
+    applyDecision(data, planRotation({ now: WEDNESDAY, engineers: ENGINEERS, data, config }), WEDNESDAY);
+    storage.saveRotationData(data);
+  } finally {
+    storage.close();
+  }
+});
+
+afterEach(() => {
+  server?.close();
+  server = null;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Start a fake Slack API and make a config that points at it
+ * @param {Object} options - Options for createFakeSlackApi
+ * @returns {Promise<Object>} Configuration from loadConfig
+ */
+async function configWithFakeSlack(options) {
+  server = createFakeSlackApi(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return loadConfig({
+    SLACK_TOKEN: 'xoxb-fake',
+    SLACK_API_URL: `http://127.0.0.1:${server.address().port}/api/`,
+    DATA_PATH: join(dir, 'rotation.json')
+  });
+}
+
+test('names the engineers from Slack', async () => {
+  const config = await configWithFakeSlack({ users: ENGINEERS });
+
+  await exportCalendars(config, join(dir, 'calendars'));
+
+  const team = fs.readFileSync(join(dir, 'calendars', 'team.ics'), 'utf8');
+  assert.match(team, /Engineer U123456/);
+  assert.ok(fs.existsSync(join(dir, 'calendars', 'U234567.ics')));
+});
+
+test('shows user IDs instead of names when they cannot be fetched from Slack', async t => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const config = await configWithFakeSlack({ users: ENGINEERS, failingUsers: ENGINEERS });
+
+  await exportCalendars(config, join(dir, 'calendars'));
+
+  const team = fs.readFileSync(join(dir, 'calendars', 'team.ics'), 'utf8');
+  assert.match(team, /U123456/);
+  assert.doesNotMatch(team, /Engineer U/);
+  assert.ok(warnings.some(message => /showing user IDs instead/.test(message)));
+});
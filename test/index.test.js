@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { carryOutDecision } from '../src/index.js';
+import { planRotation } from '../src/engine.js';
+import { createDefaultRotationData } from '../src/storage.js';
+import { loadConfig } from '../src/config.js';
+
+const ENGINEERS = ['U1', 'U2', 'U3', 'U4'];
+const WEDNESDAY = new Date('2026-10-14T08:30:00Z');
+
+const config = loadConfig({ SLACK_ENABLED: 'false' });
+
+test('saves the assignment before it is sent, and sends nothing if saving fails', async t => {
+  const printed = [];
+  t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+
+  const data = { ...createDefaultRotationData(), rotationOrder: [...ENGINEERS] };
+  const decision = planRotation({ now: WEDNESDAY, engineers: ENGINEERS, data, config });
+
+  await assert.rejects(
+    carryOutDecision(data, decision, WEDNESDAY, config, () => {
+      throw new Error('Rotation data changed since it was loaded');
+    }),
+    /changed since it was loaded/
+  );
+  assert.equal(printed.some(line => line.includes('SUPPORT ASSIGNMENT')), false);
+
+  const saved = [];
+  const retry = { ...createDefaultRotationData(), rotationOrder: [...ENGINEERS] };
+  await carryOutDecision(retry, decision, WEDNESDAY, config, updated => saved.push(structuredClone(updated)));
+  assert.equal(saved.length, 1);
+  assert.deepEqual(saved[0].currentEngineers, ['U1', 'U2']);
+  assert.equal(printed.some(line => line.includes('SUPPORT ASSIGNMENT')), true);
+});
+
+test('saves an escalation before it is sent', async t => {
+  const printed = [];
+  t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+  t.mock.method(console, 'warn', () => {});
+
+  const data = createDefaultRotationData();
+  const decision = planRotation({ now: WEDNESDAY, engineers: [], data, config });
+
+  let printedBeforeSave = null;
+  await carryOutDecision(data, decision, WEDNESDAY, config, () => {
+    printedBeforeSave = printed.some(line => line.includes('UNSTAFFED ROTATION'));
+  });
+  assert.equal(printedBeforeSave, false);
+  assert.equal(printed.some(line => line.includes('UNSTAFFED ROTATION')), true);
+});
+
+test('posts an escalation once, until the reason or the counts change', async t => {
+  const printed = [];
+  t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+  t.mock.method(console, 'warn', () => {});
+  const escalations = () => printed.filter(line => line.includes('UNSTAFFED ROTATION')).length;
+
+  const data = createDefaultRotationData();
+  const escalate = async engineers => {
+    const decision = planRotation({ now: WEDNESDAY, engineers, data, config: { ...config, minEngineersPerShift: 3 } });
+    assert.equal(decision.action, 'escalate');
+    await carryOutDecision(data, decision, WEDNESDAY, config, () => {});
+  };
+
+  await escalate(['U1', 'U2']);
+  await escalate(['U1', 'U2']);
+  assert.equal(escalations(), 1);
+
+  const entry = data.history[data.history.length - 1];
+  assert.equal(entry.attempts, 2);
+  assert.equal(entry.escalated, true);
+
+  // Someone left the group, so the counts in the escalation are out of date
+  await escalate(['U1']);
+  assert.equal(escalations(), 2);
+  assert.equal(data.history.length, 1);
+});
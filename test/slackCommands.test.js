@@ -0,0 +1,194 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import {
+  createSlackRequestHandler,
+  handleSwapCommand,
+  signSlackRequest,
+  verifySlackSignature,
+  SWAP_COMMAND
+} from '../src/slackCommands.js';
+import { createStorage, createDefaultRotationData } from '../src/storage.js';
+
+const SIGNING_SECRET = 'test-signing-secret';
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+/**
+ * Rotation data with U1 and U2 on a shift that runs for the next two weeks, so it covers working days
+ * whatever day the tests run on
+ */
+function createData() {
+  return {
+    ...createDefaultRotationData(),
+    rotationOrder: ['U1', 'U2', 'U3', 'U4'],
+    currentEngineers: ['U1', 'U2'],
+    lastRotationDate: new Date().toISOString(),
+    history: [{ date: new Date().toISOString(), engineers: ['U1', 'U2'], end: daysFromToday(14) }]
+  };
+}
+
+function swap(data, text) {
+  return handleSwapCommand(data, { command: SWAP_COMMAND, user_id: 'U1', text });
+}
+
+test('asks a colleague on the rotation to take over the shift', () => {
+  const data = createData();
+  const result = swap(data, '<@U3|carol>');
+
+  assert.equal(result.changed, true);
+  assert.deepEqual(result.announcements.map(a => a.type), ['swap_request']);
+  assert.deepEqual(data.pendingSwaps.map(s => [s.requester, s.target]), [['U1', 'U3']]);
+});
+
+test('only swaps with someone on the rotation', () => {
+  const result = swap(createData(), '<@U9>');
+  assert.equal(result.changed, false);
+  assert.match(result.message.text, /isn't on the support rotation/);
+});
+
+test('checks the colleague is in for every working day left in the shift', () => {
+  const data = createData();
+  // Ten days away is past the next working day, but still in the shift
+  data.nonWorkingDays.U3 = { specificDates: [], recurringDays: [], ranges: [{ start: daysFromToday(8), end: daysFromToday(12), label: null }] };
+
+  const result = swap(data, '<@U3>');
+  assert.equal(result.changed, false);
+  assert.match(result.message.text, /has non-working days during this shift/);
+
+  // Leave after the shift ends doesn't matter
+  data.nonWorkingDays.U3.ranges = [{ start: daysFromToday(20), end: daysFromToday(25), label: null }];
+  assert.equal(swap(data, '<@U3>').changed, true);
+});
+
+test('verifies the signature and the age of a request', () => {
+  const now = Date.parse('2026-10-14T08:30:00Z');
+  const timestamp = String(now / 1000);
+  const body = 'command=%2Fsupport-off&text=list';
+  const headers = { 'x-slack-request-timestamp': timestamp, 'x-slack-signature': signSlackRequest(SIGNING_SECRET, timestamp, body) };
+
+  assert.equal(verifySlackSignature(SIGNING_SECRET, headers, body, now), true);
+  assert.equal(verifySlackSignature('another-secret', headers, body, now), false);
+  assert.equal(verifySlackSignature(SIGNING_SECRET, headers, `${body}&user_id=U9`, now), false);
+  assert.equal(verifySlackSignature(SIGNING_SECRET, { ...headers, 'x-slack-signature': 'v0=short' }, body, now), false);
+  assert.equal(verifySlackSignature(SIGNING_SECRET, {}, body, now), false);
+
+  // A captured request can't be replayed more than five minutes later
+  assert.equal(verifySlackSignature(SIGNING_SECRET, headers, body, now + 4 * 60 * 1000), true);
+  assert.equal(verifySlackSignature(SIGNING_SECRET, headers, body, now + 6 * 60 * 1000), false);
+});
+
+describe('Slack app', () => {
+  let dir;
+  let server;
+  let url;
+  let storage;
+  let handler;
+
+  before(async () => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'support-bot-slack-app-'));
+    server = http.createServer((req, res) => handler(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    fs.rmSync(join(dir, 'rotation.json'), { force: true });
+    storage = await createStorage({ dataPath: join(dir, 'rotation.json'), archivePath: join(dir, 'archive.json') });
+    storage.saveRotationData(createData());
+    handler = createSlackRequestHandler({ signingSecret: SIGNING_SECRET, storage });
+  });
+
+  /**
+   * Send a request to the app, signed as Slack would unless told otherwise
+   * @param {string} path - Request path
+   * @param {string} body - Form-encoded body
+   * @param {Object} [options] - { secret, timestamp, method }
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function send(path, body, { secret = SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000), method = 'POST' } = {}) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signSlackRequest(secret, timestamp, body)
+      },
+      body: method === 'POST' ? body : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function command(text, name = '/support-off', userId = 'U1') {
+    return new URLSearchParams({ command: name, text, user_id: userId }).toString();
+  }
+
+  test('books days off for the person running the command', async () => {
+    const response = await send('/slack/commands', command('2026-12-24 christmas eve'));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.response_type, 'ephemeral');
+    assert.match(response.body.text, /Added non-working days: 2026-12-24 \(christmas eve\)/);
+    assert.deepEqual(storage.loadRotationData().nonWorkingDays.U1.ranges, [{ start: '2026-12-24', end: '2026-12-24', label: 'christmas eve' }]);
+  });
+
+  test('lists days off without saving anything', async () => {
+    const revision = storage.loadRotationData().revision;
+    const response = await send('/slack/commands', command('list'));
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.text, /You don't have any non-working days set/);
+    assert.equal(storage.loadRotationData().revision, revision);
+  });
+
+  test('asks a colleague to swap', async () => {
+    const response = await send('/slack/commands', command('<@U3>', SWAP_COMMAND));
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.text, /I've asked <@U3> to take over your shift/);
+    assert.deepEqual(storage.loadRotationData().pendingSwaps.map(s => s.target), ['U3']);
+  });
+
+  test('rejects a request with a bad signature, and changes nothing', async () => {
+    const response = await send('/slack/commands', command('clear'), { secret: 'not-the-secret' });
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(storage.loadRotationData().nonWorkingDays, {});
+  });
+
+  test('rejects a replayed request', async () => {
+    const response = await send('/slack/commands', command('2026-12-24'), { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 });
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(storage.loadRotationData().nonWorkingDays, {});
+  });
+
+  test('does not read a body over the size limit', async () => {
+    const response = await send('/slack/commands', command('x'.repeat(1024 * 1024)));
+    assert.equal(response.status, 413);
+  });
+
+  test('only accepts posts to the command and interaction paths', async () => {
+    assert.equal((await send('/slack/commands', '', { method: 'GET' })).status, 405);
+    assert.equal((await send('/slack/other', command('list'))).status, 404);
+  });
+});
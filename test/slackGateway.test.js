@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlackGateway } from '../src/slackGateway.js';
+import { getUserNames } from '../src/slack.js';
+import { createFakeSlackApi, USER_GROUP_ID, SUPPORT_USER_GROUP_ID, CHANNEL_ID } from '../src/fakeSlackApi.js';
+
+let server;
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  server.close();
+});
+
+/**
+ * Start a fake Slack API and make a gateway to it
+ * @param {Object} [options] - Options for createFakeSlackApi
+ * @param {number} [retries] - Times the gateway retries a failed request
+ * @returns {Promise<Object>} Gateway from createSlackGateway
+ */
+async function startGateway(options = {}, retries = 3) {
+  server = createFakeSlackApi(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return createSlackGateway({
+    token: 'xoxb-fake',
+    slackApiUrl: `http://127.0.0.1:${server.address().port}/api/`,
+    maxConcurrency: 2,
+    retries
+  });
+}
+
+test('looks up user group IDs once, and passes IDs straight through', async () => {
+  const slack = await startGateway();
+
+  assert.equal(await slack.resolveUserGroupId('cas-engineers'), USER_GROUP_ID);
+  assert.equal(await slack.resolveUserGroupId('cas-support-now'), SUPPORT_USER_GROUP_ID);
+  assert.equal(await slack.resolveUserGroupId('S0OTHER01'), 'S0OTHER01');
+  await assert.rejects(slack.resolveUserGroupId('cas-nobody'), /User group "cas-nobody" not found/);
+
+  assert.deepEqual(server.calls, ['usergroups.list']);
+});
+
+test('looks up channel IDs once, and passes IDs straight through', async () => {
+  const slack = await startGateway();
+
+  assert.equal(await slack.resolveChannelId('cas-dev'), CHANNEL_ID);
+  assert.equal(await slack.resolveChannelId('cas-dev'), CHANNEL_ID);
+  assert.equal(await slack.resolveChannelId('C0OTHER01'), 'C0OTHER01');
+  await assert.rejects(slack.resolveChannelId('random'), /Channel "#random" not found/);
+
+  assert.deepEqual(server.calls, ['conversations.list']);
+});
+
+test('waits as long as Slack asks when rate limited, then tries again', async t => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const slack = await startGateway({ rateLimit: 1, retryAfter: 1 });
+
+  const started = Date.now();
+  const response = await slack.client.usergroups.users.list({ usergroup: USER_GROUP_ID });
+
+  assert.deepEqual(response.users, ['U123456', 'U234567', 'U345678', 'U456789']);
+  assert.ok(Date.now() - started >= 1000, 'waited for the Retry-After time');
+  assert.deepEqual(server.calls, ['usergroups.users.list', 'usergroups.users.list']);
+  assert.match(warnings[0], /Slack rate limited .* waiting 1s before retrying/);
+});
+
+test('retries a request that failed on the network', async () => {
+  const slack = await startGateway({ droppedRequests: 1 }, 1);
+
+  const response = await slack.client.usergroups.list();
+  assert.equal(response.ok, true);
+  assert.deepEqual(server.calls, ['usergroups.list', 'usergroups.list']);
+});
+
+test('gives up once the retries are used', async () => {
+  const slack = await startGateway({ droppedRequests: 1 }, 0);
+
+  await assert.rejects(slack.client.usergroups.list());
+  assert.deepEqual(server.calls, ['usergroups.list']);
+});
+
+test('carries on past users that cannot be looked up, unless none can', async t => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const slack = await startGateway({ failingUsers: ['U234567'] });
+
+  const names = await getUserNames(slack, ['U123456', 'U234567']);
+  assert.deepEqual(names, { U123456: 'Engineer U123456' });
+  assert.match(warnings[0], /Could not get the name of 1 of 2 users/);
+
+  await assert.rejects(getUserNames(slack, ['U234567']), /Could not get the name of any user/);
+});
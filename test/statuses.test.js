@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyStatus, filterByStatus, loadStatusRules } from '../src/statuses.js';
+
+const rules = loadStatusRules();
+
+// Monday 19 October 2026, for a shift running to Tuesday
+const SHIFT_START = new Date('2026-10-19T08:30:00Z');
+
+function status(statusText, expiresAt = null, statusEmoji = '') {
+  return { statusText, statusEmoji, statusExpiration: expiresAt ? new Date(expiresAt).getTime() / 1000 : 0 };
+}
+
+test('matches keywords as whole words', () => {
+  assert.equal(classifyStatus(status('Out of office'), rules, SHIFT_START).reason, 'out_of_office');
+  assert.equal(classifyStatus(status('Ill today'), rules, SHIFT_START).reason, 'sick');
+  assert.equal(classifyStatus(status('Learning new skills'), rules, SHIFT_START), null);
+  assert.equal(classifyStatus(undefined, rules, SHIFT_START), null);
+});
+
+test('ignores a status that clears before the shift starts', () => {
+  assert.equal(classifyStatus(status('OOO', '2026-10-18T20:00:00Z'), rules, SHIFT_START), null);
+});
+
+test('rules someone out of the whole rotation if their status is still set when the shift starts', () => {
+  const result = classifyStatus(status('OOO', '2026-10-19T12:00:00Z'), rules, SHIFT_START);
+  assert.equal(result.reason, 'out_of_office');
+  assert.match(result.detail, /until 2026-10-19T12:00Z/);
+
+  const { available, excluded } = filterByStatus(
+    ['U1', 'U2'],
+    { U1: status('OOO', '2026-10-19T12:00:00Z') },
+    rules,
+    SHIFT_START
+  );
+  assert.deepEqual(available, ['U2']);
+  assert.deepEqual(excluded.map(e => e.userId), ['U1']);
+});
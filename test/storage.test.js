@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { createStorage, StorageConflictError } from '../src/storage.js';
+
+// node:sqlite is only there from Node 22.13 (or 22.5 with a flag)
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+let dir;
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(join(os.tmpdir(), 'support-bot-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function storageOptions(backend) {
+  return {
+    backend,
+    dataPath: join(dir, 'rotation.json'),
+    archivePath: join(dir, 'archive.json'),
+    sqlitePath: join(dir, 'rotation.db')
+  };
+}
+
+for (const backend of ['file', 'sqlite']) {
+  test(`${backend}: saves and loads the rotation data, bumping the revision`, { skip: backend === 'sqlite' && !hasSqlite && 'needs node:sqlite' }, async () => {
+    const storage = await createStorage(storageOptions(backend));
+    try {
+      const data = storage.loadRotationData();
+      assert.equal(data.revision, 0);
+
+      data.rotationOrder = ['U1', 'U2'];
+      storage.saveRotationData(data);
+      assert.equal(data.revision, 1);
+
+      const loaded = storage.loadRotationData();
+      assert.deepEqual(loaded.rotationOrder, ['U1', 'U2']);
+      assert.equal(loaded.revision, 1);
+    } finally {
+      storage.close();
+    }
+  });
+
+  test(`${backend}: refuses to save over a change made since the data was loaded`, { skip: backend === 'sqlite' && !hasSqlite && 'needs node:sqlite' }, async () => {
+    const first = await createStorage(storageOptions(backend));
+    const second = await createStorage(storageOptions(backend));
+    try {
+      const mine = first.loadRotationData();
+      const theirs = second.loadRotationData();
+
+      theirs.rotationOrder = ['U3'];
+      second.saveRotationData(theirs);
+
+      mine.rotationOrder = ['U1'];
+      assert.throws(() => first.saveRotationData(mine), StorageConflictError);
+      assert.deepEqual(first.loadRotationData().rotationOrder, ['U3']);
+    } finally {
+      first.close();
+      second.close();
+    }
+  });
+}